@@ -2,21 +2,21 @@
 
 var css = require('css')
 var util = require('./lib/util')
+var messages = require('./lib/messages')
 var validateItem = require('./lib/validator').validate
+var variables = require('./lib/variables')
+var nesting = require('./lib/nesting')
+var selector = require('./lib/selector')
+var cascade = require('./lib/cascade')
+var mediaQuery = require('./lib/media')
 var fs = require('fs')
 var path = require('path')
 var lodash = require('lodash')
 
-var SELECTOR_MATCHER = /^[\.#]?[A-Za-z0-9_\-:]+$/
-var DESCENDANT_SELECTOR_MATCHER = /^([.#]?[A-Za-z0-9_-]+(\s+|\s*>\s*))+([.#]?[A-Za-z0-9_\-:]+)$/
-var IMPORT_MATCHER = /(['"]([^()]+?)['"])|(['"]([^()]+?)['"]\s+(only|not)?\s?(screen)?\s?((and|or|,|not|landscape)?\s?[(]([^()])+[)]\s*)+)/g
+// path of an `@import` rule, quoted or in `url()`, its media condition follows
+var IMPORT_PATH = /^\s*(?:(['"])(.*?)\1|url\(\s*(['"]?)(.*?)\3\s*\))/
 var LENGTH_REGEXP = /^[-+]?\d*\.?\d+(\S*)$/
 const CARD_SELECTOR = /^[\.#][A-Za-z0-9_\-]+$/
-const card = process.env.DEVICE_LEVEL === 'card'
-var ALL_SELECTOR_MATCHER = /^\*$/
-var ATTRIBUTE_SELECTOR = /^\[+(?![0-9])\w{0,}(\s*=\s*)((?![0-9])\w{0,}|\"\w{0,}\")\]+$/
-var ELEMENT_AND_ELEMENT = /^[a-zA-Z][a-zA-Z-]{0,}\s{0,}(\+\s{0,}[a-zA-Z][a-zA-Z-]{0,})+$/
-var CONTENT_ID = /^[a-zA-Z][a-zA-Z-]{0,}([#][a-zA-Z][a-zA-Z0-9-]{0,})(.+?::(after|before))+$/
 
 /**
  * expand margin、padding、border、borderWidth、borderColor、borderStyle properties、animation
@@ -102,12 +102,10 @@ function flexExpand(rule, ruleLog) {
       } else if (values.length === 3) {
         checkFlexThree(rule, ruleLog, declaration, values, i)
       } else {
-        ruleLog.push({
-          line: declaration.position.start.line,
-          column: declaration.position.start.column,
-          reason: 'ERROR: Value `' + declaration.value + '` of the `' +
-            declaration.property + '` attribute is incorrect.'
-        })
+        ruleLog.push(messages.createLog('STYLE-VALUE-INCORRECT', {
+          name: declaration.property,
+          value: declaration.value
+        }, declaration.position.start))
       }
     }
   }
@@ -141,13 +139,11 @@ function checkFlexOne(rule, ruleLog, declaration, values, i) {
     rule.declarations.splice(i, 0, {type: 'declaration', property: 'flex-grow',
       value: values[0], position: declaration.position})
   } else {
-    ruleLog.push({
-      line: declaration.position.start.line,
-      column: declaration.position.start.column,
-      reason: 'ERROR: Value `' + declaration.value + '` of the `' + declaration.property +
-        '` attribute is incorrect.' + 'It must be a number, a number with unit `' + 'px`' +
-        ', none, auto, or initial.'
-    })
+    ruleLog.push(messages.createLog('STYLE-VALUE-INCORRECT', {
+      name: declaration.property,
+      value: declaration.value,
+      detail: 'It must be a number, a number with unit `px`, none, auto, or initial.'
+    }, declaration.position.start))
   }
 }
 
@@ -162,21 +158,18 @@ function checkFlexTwo(rule, ruleLog, declaration, values, i) {
       rule.declarations.splice(i, 0, {type: 'declaration', property: 'flex-shrink',
         value: values[1], position: declaration.position})
     } else {
-      ruleLog.push({
-        line: declaration.position.start.line,
-        column: declaration.position.start.column,
-        reason: 'ERROR: Value `' + declaration.value + '` of the `' + declaration.property +
-          '` attribute is incorrect. Value `' + values[1] +
-          '` must be a number or a number with unit `' + 'px`.'
-      })
+      ruleLog.push(messages.createLog('STYLE-VALUE-INCORRECT', {
+        name: declaration.property,
+        value: declaration.value,
+        detail: ' Value `' + values[1] + '` must be a number or a number with unit `px`.'
+      }, declaration.position.start))
     }
   } else {
-    ruleLog.push({
-      line: declaration.position.start.line,
-      column: declaration.position.start.column,
-      reason: 'ERROR: Value `' + declaration.value + '` of the `' +
-      declaration.property + '` attribute is incorrect. Value `' + values[0] + '` must be a number.'
-    })
+    ruleLog.push(messages.createLog('STYLE-VALUE-INCORRECT', {
+      name: declaration.property,
+      value: declaration.value,
+      detail: ' Value `' + values[0] + '` must be a number.'
+    }, declaration.position.start))
   }
 }
 
@@ -189,13 +182,149 @@ function checkFlexThree(rule, ruleLog, declaration, values, i) {
     rule.declarations.splice(i, 0, {type: 'declaration', property: 'flex-basis',
       value: values[2], position: declaration.position})
   } else {
-    ruleLog.push({
-      line: declaration.position.start.line,
-      column: declaration.position.start.column,
-      reason: 'ERROR: Value `' + declaration.value + '` of the `' + declaration.property +
-        '` attribute is incorrect. It must be in the format of (1, 1, 1px).'
-    })
+    ruleLog.push(messages.createLog('STYLE-VALUE-INCORRECT', {
+      name: declaration.property,
+      value: declaration.value,
+      detail: ' It must be in the format of (1, 1, 1px).'
+    }, declaration.position.start))
+  }
+}
+
+/**
+ * Get the properties of a rule for one of its selectors, suffixed with the state of the element
+ * the selector ends with, e.g. `color:active` for `.a:active`
+ *
+ * @param {object} ruleResult properties of the rule, left as they are for its other selectors
+ * @param {string} state e.g. `:active`, empty if the selector has none
+ * @return {object}
+ */
+function applyState(ruleResult, state) {
+  if (!state) {
+    return ruleResult
+  }
+  var stateResult = {}
+  Object.keys(ruleResult).forEach(function (prop) {
+    cascade.declare(stateResult, prop + state, ruleResult[prop], cascade.getOrigin(ruleResult, prop))
+  })
+  return stateResult
+}
+
+/**
+ * Expand a shorthand property into the properties of a rule, by the cascade of the declarations
+ *
+ * @param {object} subResult validated shorthand property
+ * @param {string} camelCasedName
+ * @param {object} ruleResult
+ * @param {object} origin the declaration, see `lib/cascade.js`
+ * @param {object} report see `getReport`
+ */
+function declareExpanded(subResult, camelCasedName, ruleResult, origin, report) {
+  var expanded = {}
+  expand(subResult, camelCasedName, expanded)
+  Object.keys(expanded).forEach(function (prop) {
+    cascade.declare(ruleResult, prop, expanded[prop], Object.assign({ shorthand: true }, origin), report)
+  })
+}
+
+/**
+ * Get how the overridden declarations of a rule are reported, with the `warnOverrides` option
+ *
+ * @param {object} options see `parse`
+ * @param {array} log
+ * @param {object} rule
+ * @param {string} text the selector the properties are merged into, all the ones of the rule by default
+ * @return {object|undefined}
+ */
+function getReport(options, log, rule, text) {
+  if (options && options.warnOverrides) {
+    return { log: log, selector: text || rule.selectors.join(', ') }
+  }
+}
+
+/**
+ * Get the position of a part of the condition of a `@media` rule in the style
+ *
+ * @param {string} code the style
+ * @param {object} rule
+ * @param {number} index offset of the part in the condition
+ * @return {object} line and column, the ones of the rule if the condition is not found
+ */
+function getConditionPosition(code, rule, index) {
+  var start = rule.position.start
+  var lines = code.split('\n').slice(0, start.line - 1)
+  var offset = lines.reduce(function (sum, line) {
+    return sum + line.length + 1
+  }, start.column - 1)
+  var found = code.indexOf(rule.media, offset)
+  if (found === -1) {
+    return { line: start.line, column: start.column }
   }
+  var before = code.slice(0, found + index).split('\n')
+  return { line: before.length, column: before[before.length - 1].length + 1 }
+}
+
+/**
+ * Record the structured form of a selector the runtime can not match by its key, e.g.
+ * `.list > .item:first-child`, in `@SELECTORS` by key, see `lib/selector.js`
+ *
+ * @param {object} jsonStyle the style or the `@MEDIA` rule of the selector
+ * @param {object} parsed selector
+ */
+function addStructuredSelector(jsonStyle, parsed) {
+  if (selector.isStructured(parsed)) {
+    jsonStyle['@SELECTORS'] = jsonStyle['@SELECTORS'] || {}
+    jsonStyle['@SELECTORS'][parsed.key] = parsed.compounds
+  }
+}
+
+/**
+ * Merge the properties of a rule into the style for one of its selectors, by the cascade of the
+ * declarations, with the state of the selector added to their names
+ *
+ * @param {object} jsonStyle the style or the `@MEDIA` rule of the selector
+ * @param {object} form the `key` and the `state` of the selector, or of its legacy form, which the
+ *                      runtimes not reading `@SELECTORS` match, see `lib/selector.js`
+ * @param {object} ruleResult properties of the rule
+ * @param {object} report see `getReport`, the overridden declarations of the legacy forms are not reported
+ */
+function mergeSelector(jsonStyle, form, ruleResult, report) {
+  var className = form.key
+
+  // handle pseudo class, on a copy of the properties for each selector of the rule
+  var selectorResult = applyState(ruleResult, form.state)
+
+  // merge style, by the cascade of the declarations
+  Object.keys(selectorResult).forEach(function (prop) {
+    jsonStyle[className] = jsonStyle[className] || {}
+    if (!cascade.declare(jsonStyle[className], prop, selectorResult[prop],
+      cascade.getOrigin(selectorResult, prop), report)) {
+      return
+    }
+
+    // handle transition
+    if (prop.indexOf('transition') === 0 && prop !== 'transition') {
+      var realProp = prop.replace('transition', '')
+      realProp = realProp[0].toLowerCase() + realProp.slice(1)
+      jsonStyle['@TRANSITION'] = jsonStyle['@TRANSITION'] || {}
+      jsonStyle['@TRANSITION'][className] = jsonStyle['@TRANSITION'][className] || {}
+      jsonStyle['@TRANSITION'][className][realProp] = selectorResult[prop]
+    }
+  })
+}
+
+/**
+ * Create the log of a selector which is not supported
+ *
+ * @param {string} text the selector
+ * @param {string} part the part which is not supported, the selector itself if it is not supported at all
+ * @param {object} position of the rule
+ * @return {object}
+ */
+function createSelectorLog(text, part, position) {
+  return messages.createLog('STYLE-SELECTOR-UNSUPPORTED', {
+    selector: text,
+    part: part !== text ? part : undefined
+  }, position)
 }
 
 /**
@@ -205,19 +334,58 @@ function checkFlexThree(rule, ruleLog, declaration, values, i) {
  * @param {function} done which will be called with
  * - err:Error
  * - data.jsonStyle{}: `classname.propname.value`-like object
- * - data.log[{line, column, reason}]
+ * - data.log[{line, column, reason, code}]: `code` is the stable code of the message, see `lib/messages.js`
+ * - data.imports{}: the files imported with `@import` by each file, the file parsed and the imported ones
+ * - data.missing[]: the imported files which do not exist
+ * - data.variables{}: the custom properties declared by the style and its imported files, by selector
+ * @param {string} resourcePath
+ * @param {object} options
+ * - deviceLevel: rich, lite or card, the DEVICE_LEVEL environment variable by default
+ * - watchCSSFiles: file recording the imported style files for the previewer
+ * - resolveModules: directories searched for the imported style files
+ * - resolve: function resolving the imported style files instead, called with the path imported and
+ *   the importing file, it returns the `file` found or the paths `tried`
+ * - variables: custom properties inherited by the style, the `data.variables` of another style, e.g. `app.css`
+ * - runtimeVariables: keep the `var()` in `data.jsonStyle` for the runtime to resolve them, with the table
+ *   of the custom properties, inherited ones included, by selector in `data.jsonStyle['@VARIABLES']`
+ * - warnOverrides: report the declarations of a selector overridden by another one of the same style
+ * @param {object} context the import being parsed, only given when parsing an imported file
  */
-function parse(code, done, resourcePath) {
+function parse(code, done, resourcePath, options, context) {
   var ast, err, jsonStyle = {}, log = []
+  var card = util.getDeviceLevel(options) === 'card'
+  var specialAttr = util.getSpecialAttr(options)
+  var root = !context
+
+  if (root) {
+    context = {
+      // files from the parsed file to the one being parsed
+      chain: [resourcePath],
+      imports: {},
+      missing: [],
+      // logs of the imports of the imported files, at the position of the import of the parsed file
+      log: []
+    }
+  }
 
-  // css parse
-  ast = css.parse(code, {silent: true, source: resourcePath});
+  // css parse, the nested rules are flattened first, with the positions of the source
+  var flattened = nesting.flatten(code)
+  ast = css.parse(flattened ? flattened.code : code, {silent: true, source: resourcePath});
+  if (flattened) {
+    nesting.mapPositions(ast, code, flattened)
+  }
+
+  // custom properties of the style, `var()` of the declarations before them resolve too
+  var scope = variables.createScope(options && options.variables)
+  variables.collect(scope, ast.stylesheet && ast.stylesheet.rules)
 
   // catch syntax error
   if (ast.stylesheet.parsingErrors && ast.stylesheet.parsingErrors.length) {
     err = ast.stylesheet.parsingErrors
     err.forEach(function (error) {
-      log.push({line: error.line, column: error.column, reason: error.toString().replace('Error', 'ERROR')})
+      log.push(messages.createLog('STYLE-SYNTAX-ERROR', {
+        detail: error.toString().replace(/^Error:\s*/, '')
+      }, error))
     })
   }
 
@@ -229,6 +397,7 @@ function parse(code, done, resourcePath) {
       var type = rule.type
       var ruleResult = {}
       var ruleLog = []
+      var ruleOptions = Object.assign({}, options, { scope: scope, selectors: rule.selectors || [] })
 
       if (type === 'rule') {
         if (rule.declarations && rule.declarations.length) {
@@ -236,7 +405,7 @@ function parse(code, done, resourcePath) {
 
           rule.declarations.forEach(function (declaration) {
             var subType = declaration.type
-            var name, value, line, column, subResult, camelCasedName
+            var name, value, line, column, subResult, camelCasedName, origin
 
             /* istanbul ignore if */
             if (subType !== 'declaration') {
@@ -244,21 +413,23 @@ function parse(code, done, resourcePath) {
             }
 
             name = declaration.property
-            value = declaration.value
+            value = cascade.splitImportant(declaration.value)
+            origin = Object.assign({ important: value.important }, declaration.position.start)
+            value = value.value
 
             // validate declarations and collect them to result
             camelCasedName = util.hyphenedToCamelCase(name)
-            subResult = validateItem(camelCasedName, value)
+            subResult = validateItem(camelCasedName, value, ruleOptions)
 
             // expand margin、padding、border、borderWidth、borderColor、borderStyle properties、animation
-            if (subResult.value && Object.values(util.SPLECIAL_ATTR).indexOf(camelCasedName) !== -1) {
-              expand(subResult, camelCasedName, ruleResult)
+            if (subResult.value && Object.values(specialAttr).indexOf(camelCasedName) !== -1) {
+              declareExpanded(subResult, camelCasedName, ruleResult, origin, getReport(options, ruleLog, rule))
             }
 
             /* istanbul ignore else */
             if ((typeof subResult.value === 'number' || typeof subResult.value === 'string')
-              && !Object.values(util.SPLECIAL_ATTR).includes(camelCasedName)) {
-              ruleResult[camelCasedName] = subResult.value
+              && !Object.values(specialAttr).includes(camelCasedName)) {
+              cascade.declare(ruleResult, camelCasedName, subResult.value, origin, getReport(options, ruleLog, rule))
             }
             if (subResult.log) {
               subResult.log.line = declaration.position.start.line
@@ -268,52 +439,23 @@ function parse(code, done, resourcePath) {
           })
 
           if (card && rule.selectors.length > 1) {
-            log.push({
-              line: rule.position.start.line,
-              column: rule.position.start.column,
-              reason: 'ERROR: The `' + rule.selectors.join(', ') + '` selector is not supported.'
-            })
+            log.push(messages.createLog('STYLE-SELECTOR-UNSUPPORTED', {
+              selector: rule.selectors.join(', ')
+            }, rule.position.start))
           } else {
-            rule.selectors.forEach(function (selector) {
-              const flag = card ? selector.match(CARD_SELECTOR) :
-                selector.match(SELECTOR_MATCHER) || selector.match(DESCENDANT_SELECTOR_MATCHER) ||
-                  selector.match(ALL_SELECTOR_MATCHER) || selector.match(ATTRIBUTE_SELECTOR) ||
-                  selector.match(ELEMENT_AND_ELEMENT) || selector.match(CONTENT_ID)
-              if (flag) {
-                var className = selector
-
-                // handle pseudo class
-                var pseudoIndex = className.indexOf(':')
-                if (pseudoIndex > -1) {
-                  var pseudoCls = className.slice(pseudoIndex)
-                  className = className.slice(0, pseudoIndex)
-                  var pseudoRuleResult = {}
-                  Object.keys(ruleResult).forEach(function (prop) {
-                    pseudoRuleResult[prop + pseudoCls] = ruleResult[prop]
-                  })
-                  ruleResult = pseudoRuleResult
+            rule.selectors.forEach(function (text) {
+              var parsed = card && !text.match(CARD_SELECTOR) ? {part: text} : selector.parse(text)
+              var stateLog = !parsed.part && selector.checkState(parsed, rule.position.start)
+              if (stateLog) {
+                log.push(stateLog)
+              } else if (!parsed.part) {
+                addStructuredSelector(jsonStyle, parsed)
+                mergeSelector(jsonStyle, parsed, ruleResult, getReport(options, ruleLog, rule, text))
+                if (parsed.legacy) {
+                  mergeSelector(jsonStyle, parsed.legacy, ruleResult)
                 }
-
-                // merge style
-                Object.keys(ruleResult).forEach(function (prop) {
-                  // handle transition
-                  if (prop.indexOf('transition') === 0 && prop !== 'transition') {
-                    var realProp = prop.replace('transition', '')
-                    realProp = realProp[0].toLowerCase() + realProp.slice(1)
-                    jsonStyle['@TRANSITION'] = jsonStyle['@TRANSITION'] || {}
-                    jsonStyle['@TRANSITION'][className] = jsonStyle['@TRANSITION'][className] || {}
-                    jsonStyle['@TRANSITION'][className][realProp] = ruleResult[prop]
-                  }
-
-                  jsonStyle[className] = jsonStyle[className] || {}
-                  jsonStyle[className][prop] = ruleResult[prop]
-                })
               } else {
-                log.push({
-                  line: rule.position.start.line,
-                  column: rule.position.start.column,
-                  reason: 'ERROR: The `' + selector + '` selector is not supported.'
-                })
+                log.push(createSelectorLog(text, parsed.part, rule.position.start))
               }
             })
           }
@@ -343,7 +485,7 @@ function parse(code, done, resourcePath) {
         }
       }
       else if (type === 'import') {
-        parseImport(resourcePath, rule, jsonStyle, log)
+        parseImport(resourcePath, rule, jsonStyle, log, options, context, scope)
       }
       else if (type === 'keyframes' && !card) {
         if (!jsonStyle['@KEYFRAMES']) {
@@ -353,11 +495,7 @@ function parse(code, done, resourcePath) {
         jsonStyle['@KEYFRAMES'][keyName] = []
         if (rule.keyframes && rule.keyframes.length) {
           if (card) {
-            log.push({
-              line: rule.position.start.line,
-              column: rule.position.start.column,
-              reason: 'ERROR: The keyframes is not supported!'
-            })
+            log.push(messages.createLog('STYLE-KEYFRAMES-UNSUPPORTED', {}, rule.position.start))
           } else {
             rule.keyframes.forEach(function (keyframe) {
 
@@ -383,15 +521,15 @@ function parse(code, done, resourcePath) {
 
                   // validate declarations and collect them to result
                   camelCasedName = util.hyphenedToCamelCase(name)
-                  subResult = validateItem(camelCasedName, value)
+                  subResult = validateItem(camelCasedName, value, ruleOptions)
 
                   // expand margin、padding、border、borderWidth、borderColor、borderStyle properties
-                  if (subResult.value && Object.values(util.SPLECIAL_ATTR).indexOf(camelCasedName) !== -1) {
+                  if (subResult.value && Object.values(specialAttr).indexOf(camelCasedName) !== -1) {
                     expand(subResult, camelCasedName, ruleResult)
                   }
                   /* istanbul ignore else */
                   if ((typeof subResult.value === 'number' || typeof subResult.value === 'string')
-                    && !Object.values(util.SPLECIAL_ATTR).includes(camelCasedName)) {
+                    && !Object.values(specialAttr).includes(camelCasedName)) {
                     ruleResult[camelCasedName] = subResult.value
                   }
                   if (subResult.log) {
@@ -433,24 +571,34 @@ function parse(code, done, resourcePath) {
         }
       }
       else if (type === 'media') {
+        var condition =  rule.media
+        var media = mediaQuery.parse(condition, util.getDeviceLevel(options))
+        if (media.log) {
+          log.push(Object.assign(media.log, getConditionPosition(code, rule, media.index)))
+          return
+        }
         if (!jsonStyle['@MEDIA']) {
           jsonStyle['@MEDIA'] = []
         }
-        var condition =  rule.media
         var mediaObj = {}
         mediaObj['condition'] = condition
+        mediaObj['queries'] = media.queries
+        // the custom properties of the rule only apply under its condition
+        var mediaScope = variables.createScope(scope)
+        variables.collect(mediaScope, rule.rules)
 
         if (rule.rules && rule.rules.length) {
           rule.rules.forEach(function(rule) {
             ruleResult = {}
+            ruleOptions = Object.assign({}, options, { scope: mediaScope, selectors: rule.selectors || [] })
             if (rule.type === 'import') {
-              parseImport(resourcePath, rule, mediaObj, log)
+              parseImport(resourcePath, rule, mediaObj, log, options, context, mediaScope)
             }
             if (rule.declarations && rule.declarations.length) {
               flexExpand(rule, ruleLog)
               rule.declarations.forEach(function (declaration) {
                 var subType = declaration.type
-                var name, value, line, column, subResult, camelCasedName
+                var name, value, line, column, subResult, camelCasedName, origin
 
                 /* istanbul ignore if */
                 if (subType !== 'declaration') {
@@ -458,20 +606,22 @@ function parse(code, done, resourcePath) {
                 }
 
                 name = declaration.property
-                value = declaration.value
+                value = cascade.splitImportant(declaration.value)
+                origin = Object.assign({ important: value.important }, declaration.position.start)
+                value = value.value
 
                 // validate declarations and collect them to result
                 camelCasedName = util.hyphenedToCamelCase(name)
-                subResult = validateItem(camelCasedName, value)
+                subResult = validateItem(camelCasedName, value, ruleOptions)
                 // expand margin、padding、border、borderWidth、borderColor、borderStyle properties
-                if (subResult.value && Object.values(util.SPLECIAL_ATTR).indexOf(camelCasedName) !== -1) {
-                  expand(subResult, camelCasedName, ruleResult)
+                if (subResult.value && Object.values(specialAttr).indexOf(camelCasedName) !== -1) {
+                  declareExpanded(subResult, camelCasedName, ruleResult, origin, getReport(options, ruleLog, rule))
                 }
 
                 /* istanbul ignore else */
                 if ((typeof subResult.value === 'number' || typeof subResult.value === 'string')
-                  && !Object.values(util.SPLECIAL_ATTR).includes(camelCasedName)) {
-                  ruleResult[camelCasedName] = subResult.value
+                  && !Object.values(specialAttr).includes(camelCasedName)) {
+                  cascade.declare(ruleResult, camelCasedName, subResult.value, origin, getReport(options, ruleLog, rule))
                 }
                 if (subResult.log) {
                   subResult.log.line = declaration.position.start.line
@@ -479,88 +629,134 @@ function parse(code, done, resourcePath) {
                   ruleLog.push(subResult.log)
                 }
               })
-              rule.selectors.forEach(function (selector) {
-                if (selector.match(SELECTOR_MATCHER) || selector.match(DESCENDANT_SELECTOR_MATCHER)) {
-                  var className = selector
-
-                  // handle pseudo class
-                  var pseudoIndex = className.indexOf(':')
-                  if (pseudoIndex > -1) {
-                    var pseudoCls = className.slice(pseudoIndex)
-                    className = className.slice(0, pseudoIndex)
-                    var pseudoRuleResult = {}
-                    Object.keys(ruleResult).forEach(function (prop) {
-                      pseudoRuleResult[prop + pseudoCls] = ruleResult[prop]
-                    })
-                    ruleResult = pseudoRuleResult
+              rule.selectors.forEach(function (text) {
+                var parsed = selector.parse(text)
+                var stateLog = !parsed.part && selector.checkState(parsed, rule.position.start)
+                if (stateLog) {
+                  log.push(stateLog)
+                } else if (!parsed.part) {
+                  addStructuredSelector(mediaObj, parsed)
+                  mergeSelector(mediaObj, parsed, ruleResult, getReport(options, ruleLog, rule, text))
+                  if (parsed.legacy) {
+                    mergeSelector(mediaObj, parsed.legacy, ruleResult)
                   }
-                  // merge style
-                  Object.keys(ruleResult).forEach(function (prop) {
-                    // handle transition
-                    if (prop.indexOf('transition') === 0 && prop !== 'transition') {
-                      var realProp = prop.replace('transition', '')
-                      realProp = realProp[0].toLowerCase() + realProp.slice(1)
-                      mediaObj['@TRANSITION'] = mediaObj['@TRANSITION'] || {}
-                      mediaObj['@TRANSITION'][className] = mediaObj['@TRANSITION'][className] || {}
-                      mediaObj['@TRANSITION'][className][realProp] = ruleResult[prop]
-                    }
-                    mediaObj[className] = mediaObj[className] || {}
-                    mediaObj[className][prop] = ruleResult[prop]
-                  })
                 } else {
-                  log.push({
-                    line: rule.position.start.line,
-                    column: rule.position.start.column,
-                    reason: 'ERROR: The `' + selector + '` selector is not supported.'
-                  })
+                  log.push(createSelectorLog(text, parsed.part, rule.position.start))
                 }
               })
               log = log.concat(ruleLog)
             }
           })
         }
+        if (options && options.runtimeVariables) {
+          var mediaTable = variables.toTable(mediaScope, true)
+          if (Object.keys(mediaTable).length) {
+            mediaObj['@VARIABLES'] = mediaTable
+          }
+        }
+        cascade.finish(mediaObj)
         jsonStyle['@MEDIA'].push(mediaObj)
       }
     })
   }
 
-  done(err, {jsonStyle: jsonStyle, log: log})
+  cascade.finish(jsonStyle)
+  if (!root) {
+    done(err, {jsonStyle: jsonStyle, log: log, variables: variables.toJSON(scope)})
+    return
+  }
+  if (options && options.runtimeVariables) {
+    var table = variables.toTable(scope)
+    if (Object.keys(table).length) {
+      jsonStyle['@VARIABLES'] = table
+    }
+  }
+  done(err, {
+    jsonStyle: jsonStyle,
+    log: log.concat(context.log),
+    imports: context.imports,
+    missing: context.missing,
+    variables: variables.toJSON(scope)
+  })
 }
 
-function parseImport(resourcePath, rule, jsonStyle, log) {
+/**
+ * Parse the file of an `@import` rule into the JSON of the importing style, and record it
+ * in the import graph. A file importing itself, directly or not, is not parsed again.
+ * The custom properties of the imported file are added to the ones of the importing file.
+ *
+ * @param {string} resourcePath the importing file
+ * @param {object} rule
+ * @param {object} jsonStyle
+ * @param {array} log
+ * @param {object} options see `parse`
+ * @param {object} context the import graph, see `parse`
+ * @param {object} scope custom properties of the importing file
+ */
+function parseImport(resourcePath, rule, jsonStyle, log, options, context, scope) {
   if(!resourcePath) {
     return
   }
+  // the imports of an imported file are reported at the import of the file parsed
+  var position = context.chain.length === 1 ? rule.position.start : context.position
+  var importLog = context.chain.length === 1 ? log : context.log
   const resourcePath_ = resourcePath
   let importString = rule.import
   let importPath
   let mediaString = ''
   let source = ''
-  if (importString.match(IMPORT_MATCHER)) {
-    let filePath = importString.match(/['"]([^()]+?)['"]/)
-    importPath = filePath[1]
-    mediaString = importString.replace(importPath, '').replace(/['"]/g, '')
+  let match = importString.match(IMPORT_PATH)
+  if (match) {
+    importPath = match[2] !== undefined ? match[2] : match[4]
+    mediaString = importString.slice(match[0].length).trim()
   }
-  if(/^(\.)|(\.\.)\//.test(importPath)) {
-    resourcePath = resourcePath.substring(0, resourcePath.lastIndexOf(path.sep) + 1);
-    importPath = path.resolve(resourcePath, importPath)
+  // the file is not imported when its media condition is invalid
+  var media = mediaString && mediaQuery.parse(mediaString, util.getDeviceLevel(options))
+  if (media && media.log) {
+    importLog.push(Object.assign(media.log, { line: position.line, column: position.column }))
+    return
   }
-  if (!fs.existsSync(importPath)) {
-    const fileSearch = findFile(importPath);
-    if (fileSearch.result == true) {
-      importPath = fileSearch.filePath;
-    } else {
-      writeErrorOption();
-      log.push({
-        line: rule.position.start.line,
-        column: rule.position.start.column,
-        reason: 'ERROR: no such file or directory, open ' + importPath
-      });
-      return;
+  var resolved = resolveImport(importPath, resourcePath, options)
+  if (!resolved.file) {
+    writeErrorOption(util.getOption(options, 'watchCSSFiles'));
+    resolved.tried.forEach(function (file) {
+      if (context.missing.indexOf(file) === -1) {
+        context.missing.push(file);
+      }
+    })
+    if (context.chain.length === 1) {
+      log.push(messages.createLog('STYLE-IMPORT-NOT-FOUND', {
+        path: resolved.path || importPath,
+        tried: resolved.tried
+      }, rule.position.start));
     }
+    return;
+  }
+  importPath = path.resolve(resolved.file)
+  var chain = context.chain.concat(importPath)
+  var imported = context.imports[resourcePath_] = context.imports[resourcePath_] || []
+  // how the file is imported before, the imports of a file imported again were reported the first time
+  var previous = !context.duplicate && findImportChain(context.imports, context.chain[0], importPath)
+  if (imported.indexOf(importPath) === -1) {
+    imported.push(importPath)
+  }
+  if (context.chain.indexOf(importPath) !== -1) {
+    if (!context.duplicate) {
+      importLog.push(messages.createLog('STYLE-IMPORT-CYCLE', {
+        chain: formatChain(context.chain[0], chain.slice(context.chain.indexOf(importPath)))
+      }, position));
+    }
+    return;
+  }
+  if (previous) {
+    importLog.push(messages.createLog('STYLE-IMPORT-DUPLICATED', {
+      file: formatChain(context.chain[0], [importPath]),
+      previous: formatChain(context.chain[0], previous),
+      chain: formatChain(context.chain[0], chain)
+    }, position));
   }
   source = fs.readFileSync(importPath).toString();
-  addPreviewCSS(importPath, resourcePath_);
+  addPreviewCSS(importPath, resourcePath_, util.getOption(options, 'watchCSSFiles'));
   if (mediaString.length !== 0) {
     source = '@media ' + mediaString + '{\n' + source + '\n}'
   }
@@ -568,16 +764,64 @@ function parseImport(resourcePath, rule, jsonStyle, log) {
     if (err) {
       throw(err)
     } else {
-      jsonStyle = Object.assign(jsonStyle, obj.jsonStyle)
+      cascade.merge(jsonStyle, obj.jsonStyle)
+      variables.merge(scope, obj.variables)
     }
-  }, importPath)
+  }, importPath, options, Object.assign({}, context, {
+    chain: chain,
+    position: position,
+    duplicate: context.duplicate || !!previous
+  }))
 }
 
-function addPreviewCSS(importPath, resourcePath) {
+/**
+ * Find how a file is imported from the parsed file, in the imports recorded so far
+ *
+ * @param {object} imports imported files by importing file
+ * @param {string} from
+ * @param {string} file
+ * @return {array|undefined} the files from `from` to `file`
+ */
+function findImportChain(imports, from, file) {
+  var visited = []
+  function find(current) {
+    if (visited.indexOf(current) !== -1) {
+      return
+    }
+    visited.push(current)
+    var children = imports[current] || []
+    for (var i = 0; i < children.length; i++) {
+      if (children[i] === file) {
+        return [current, file]
+      }
+      var chain = find(children[i])
+      if (chain) {
+        return [current].concat(chain)
+      }
+    }
+  }
+  return find(from)
+}
+
+/**
+ * Format a chain of imports with the paths relative to the parsed file
+ *
+ * @param {string} root the parsed file
+ * @param {array} chain
+ * @return {string}
+ */
+function formatChain(root, chain) {
+  var dir = path.dirname(root)
+  return chain.map(function (file) {
+    return path.relative(dir, file) || path.basename(file)
+  }).join(' -> ')
+}
+
+function addPreviewCSS(importPath, resourcePath, watchCSSFiles) {
   importPath = path.join(importPath);
   resourcePath = path.join(resourcePath);
-  if (fs.existsSync(process.env.watchCSSFiles)) {
-    const content = JSON.parse(fs.readFileSync(process.env.watchCSSFiles));
+  if (watchCSSFiles && fs.existsSync(watchCSSFiles)) {
+    const content = JSON.parse(fs.readFileSync(watchCSSFiles));
     if (content['entry'] && content['entry'][resourcePath]) {
       content[importPath] = content[importPath] || [];
       content[importPath].push(resourcePath);
@@ -589,46 +833,65 @@ function addPreviewCSS(importPath, resourcePath) {
     }
     content["atime"] = content["atime"] || {};
     content["atime"][importPath] = fs.statSync(importPath).atime.toString();
-    fs.writeFileSync(process.env.watchCSSFiles, JSON.stringify(content, null, 2));
+    fs.writeFileSync(watchCSSFiles, JSON.stringify(content, null, 2));
   }
 }
 
-function findFile(importPath) {
-  const resultObject = {
-    result: false
-  };
-  if (!importPath || !process.env.resolveModules) {
-    return resultObject;
+/**
+ * Resolve the path of an `@import` rule, with the `resolve` option if it is given,
+ * next to the importing file and in the `resolveModules` directories otherwise
+ *
+ * @param {string} importPath
+ * @param {string} resourcePath the importing file
+ * @param {object} options see `parse`
+ * @return {object} the `file` found, or the `path` not found and the paths `tried`
+ */
+function resolveImport(importPath, resourcePath, options) {
+  if (!importPath) {
+    return { tried: [] }
   }
-  try {
-    const modules = JSON.parse(process.env.resolveModules);
-    modules.forEach(item => {
-      if (fs.existsSync(item)) {
-        if (fs.existsSync(path.join(item, importPath))) {
-          resultObject.result = true;
-          resultObject.filePath = path.join(item, importPath);
-          return resultObject;
-        }
-      } else {
-        const resolveItem = path.resolve(__dirname, item);
-        if (fs.existsSync(resolveItem)) {
-          resultObject.result = true;
-          resultObject.filePath = path.join(resolveItem, importPath);
-          return resultObject;
-        }
-      }
-    });
-  } catch (error) {
-    resultObject.result = false;
+  if (options && typeof options.resolve === 'function') {
+    var resolved = options.resolve(importPath, resourcePath)
+    return resolved.file ? resolved : { tried: resolved.tried && resolved.tried.length ? resolved.tried : [importPath] }
+  }
+  if(/^(\.)|(\.\.)\//.test(importPath)) {
+    importPath = path.resolve(path.dirname(resourcePath), importPath)
+  }
+  if (fs.existsSync(importPath)) {
+    return { file: importPath }
+  }
+  return Object.assign({ path: importPath }, findFile(importPath, util.getOption(options, 'resolveModules')))
+}
+
+/**
+ * Find an imported file in the `resolveModules` directories, a relative directory is
+ * relative to the current directory or to the styler
+ *
+ * @param {string} importPath
+ * @param {array} modules
+ * @return {object} the `file` found, or the paths `tried`
+ */
+function findFile(importPath, modules) {
+  var tried = [importPath]
+  if (!Array.isArray(modules)) {
+    return { tried: tried }
+  }
+  for (var i = 0; i < modules.length; i++) {
+    var item = fs.existsSync(modules[i]) ? modules[i] : path.resolve(__dirname, modules[i])
+    var filePath = path.join(item, importPath)
+    if (fs.existsSync(filePath)) {
+      return { file: filePath }
+    }
+    tried.push(filePath)
   }
-  return resultObject;
+  return { tried: tried }
 }
 
-function writeErrorOption() {
-  if (fs.existsSync(process.env.watchCSSFiles)) {
-    const content = JSON.parse(fs.readFileSync(process.env.watchCSSFiles));
+function writeErrorOption(watchCSSFiles) {
+  if (watchCSSFiles && fs.existsSync(watchCSSFiles)) {
+    const content = JSON.parse(fs.readFileSync(watchCSSFiles));
     content['clear'] = true;
-    fs.writeFileSync(process.env.watchCSSFiles, JSON.stringify(content, null, 2));
+    fs.writeFileSync(watchCSSFiles, JSON.stringify(content, null, 2));
   }
 }
 
@@ -639,9 +902,10 @@ function writeErrorOption() {
  * @param {function} done which will be called with
  * - err:Error
  * - data.jsonStyle{}: `classname.propname.value`-like object
- * - data.log[{reason}]
+ * - data.log[{reason, code}]
+ * @param {object} options see `parse`
  */
-function validate(json, done) {
+function validate(json, done, options) {
   var log = []
   var err
 
@@ -658,7 +922,7 @@ function validate(json, done) {
 
     Object.keys(declarations).forEach(function (name) {
       var value = declarations[name]
-      var result = validateItem(name, value)
+      var result = validateItem(name, value, options)
 
       if (typeof result.value === 'number' || typeof result.value === 'string') {
         declarations[name] = result.value
@@ -684,6 +948,7 @@ module.exports = {
   validate: validate,
   validateItem: validateItem,
   util: util,
+  messages: messages,
   expand: expand,
   getUnit: getUnit,
 }
@@ -0,0 +1,454 @@
+'use strict'
+
+var messages = require('./messages')
+
+// type of the values by unit, the values of the same type can be added
+var UNIT_TYPES = {
+  '': 'number',
+  '%': 'percentage',
+  px: 'length',
+  vp: 'length',
+  fp: 'length',
+  lpx: 'length',
+  pt: 'length',
+  wx: 'length',
+  cm: 'length',
+  mm: 'length',
+  in: 'length',
+  em: 'length',
+  rem: 'length',
+  vw: 'length',
+  vh: 'length',
+  vmin: 'length',
+  vmax: 'length',
+  ms: 'time',
+  s: 'time',
+  deg: 'angle',
+  rad: 'angle',
+  grad: 'angle',
+  turn: 'angle'
+}
+
+// unit the times and the angles are converted to, to compute the constants of different units, and the
+// factor of the conversion, by unit
+var CONVERSIONS = {
+  ms: { unit: 'ms', factor: 1 },
+  s: { unit: 'ms', factor: 1000 },
+  deg: { unit: 'deg', factor: 1 },
+  rad: { unit: 'deg', factor: 180 / Math.PI },
+  grad: { unit: 'deg', factor: 0.9 },
+  turn: { unit: 'deg', factor: 360 }
+}
+
+// the math functions computed when the style is compiled, the other functions are kept as they are
+var MATH_REGEXP = /\b(calc|min|max|clamp|env)\(/i
+var NUMBER_REGEXP = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?(%|[a-zA-Z]+)?/
+var FUNCTION_REGEXP = /^[a-zA-Z-]+\(/
+var PRECEDENCE = { '+': 1, '-': 1, '*': 2, '/': 2 }
+
+// environment variables of `env()`, lengths given by the runtime
+var ENV_VARIABLES = ['safe-area-inset-top', 'safe-area-inset-right', 'safe-area-inset-bottom', 'safe-area-inset-left']
+
+/**
+ * Error of a `calc()` expression, with the log reporting it
+ *
+ * @param {string} code
+ * @param {object} params
+ */
+function CalcError(code, params) {
+  this.log = messages.createLog(code, params)
+}
+
+/**
+ * Find the closing parenthesis of a function or of a group
+ *
+ * @param {string} source
+ * @param {number} start offset after the opening parenthesis
+ * @return {number} offset of the closing parenthesis, -1 if it is missing
+ */
+function findClosing(source, start) {
+  var depth = 1
+  for (var i = start; i < source.length; i++) {
+    if (source[i] === '(') {
+      depth++
+    } else if (source[i] === ')' && --depth === 0) {
+      return i
+    }
+  }
+  return -1
+}
+
+/**
+ * Split the arguments of a function on the commas which are not in nested functions
+ *
+ * @param {string} source the arguments, without the parentheses of the function
+ * @return {array}
+ */
+function splitArguments(source) {
+  var args = []
+  var depth = 0
+  var last = 0
+  for (var i = 0; i < source.length; i++) {
+    if (source[i] === '(') {
+      depth++
+    } else if (source[i] === ')') {
+      depth--
+    } else if (source[i] === ',' && !depth) {
+      args.push(source.slice(last, i).trim())
+      last = i + 1
+    }
+  }
+  args.push(source.slice(last).trim())
+  return args
+}
+
+/**
+ * Get the text of an argument of a math function, to check it like the value of the property:
+ * an expression is given in `calc()`
+ *
+ * @param {object} node
+ * @return {string}
+ */
+function toArgument(node) {
+  return node.precedence < 3 ? 'calc(' + node.text + ')' : toText(node, 0)
+}
+
+/**
+ * Convert constants of different units of time or of angle to the same unit, e.g. `1s` and `200ms`
+ * to `1000ms` and `200ms`, so that they can be computed
+ *
+ * @param {array} nodes
+ * @return {array} the nodes converted, or the nodes given when they are not constants of such units
+ */
+function convertUnits(nodes) {
+  var conversion = CONVERSIONS[nodes[0].unit]
+  var convertible = nodes.every(function (node) {
+    return node.text === undefined && CONVERSIONS[node.unit] && CONVERSIONS[node.unit].unit === conversion.unit
+  })
+  var same = nodes.every(function (node) {
+    return node.unit === nodes[0].unit
+  })
+  if (!convertible || same) {
+    return nodes
+  }
+  return nodes.map(function (node) {
+    return Object.assign({}, node, { value: node.value * CONVERSIONS[node.unit].factor, unit: conversion.unit })
+  })
+}
+
+/**
+ * Compute `min()`, `max()` or `clamp()` when its arguments are constants of the same unit, or of
+ * units of time or of angle, and keep
+ * it for the runtime otherwise, e.g. `clamp(12fp, 4vp, 20fp)`. `env()` is always kept, its fallback
+ * value is checked.
+ *
+ * @param {string} name of the function, lower cased
+ * @param {string} source the arguments, without the parentheses of the function
+ * @param {string} call the source of the function, for the logs
+ * @param {array} checked the arguments to check like the value of the property, added to
+ * @return {object} node of the result, see `operate`
+ */
+function evaluateFunction(name, source, call, checked) {
+  var args = splitArguments(source)
+  if (name === 'env') {
+    if (ENV_VARIABLES.indexOf(args[0]) === -1) {
+      throw new CalcError('STYLE-MATH-ENV-UNKNOWN', { name: args[0], expression: call })
+    }
+    var fallback = args.length > 1 && evaluateTokens(tokenize(args.slice(1).join(', '), checked), args.slice(1).join(', '))
+    if (fallback) {
+      checked.push(toArgument(fallback))
+    }
+    return {
+      type: 'length',
+      text: 'env(' + args[0] + (fallback ? ', ' + toText(fallback, 0) : '') + ')',
+      precedence: 3
+    }
+  }
+  if (name === 'clamp' ? args.length !== 3 : !args[0]) {
+    throw new CalcError('STYLE-MATH-ARGUMENTS', { name: name, count: name === 'clamp' ? '3' : 'at least 1',
+      expression: call })
+  }
+  var nodes = args.map(function (arg) {
+    return evaluateTokens(tokenize(arg, checked), arg)
+  })
+  var types = nodes.map(function (node) {
+    return node.type === 'percentage' ? 'length' : node.type
+  }).filter(function (type, index, types) {
+    return type !== 'unknown' && types.indexOf(type) === index
+  })
+  if (types.length > 1) {
+    throw new CalcError('STYLE-MATH-TYPES', { name: name, types: types.join(', '), expression: call })
+  }
+  nodes.forEach(function (node) {
+    checked.push(toArgument(node))
+  })
+  nodes = convertUnits(nodes)
+  var constant = nodes.every(function (node) {
+    return node.text === undefined && node.unit === nodes[0].unit
+  })
+  if (!constant) {
+    return {
+      type: types[0] || 'unknown',
+      text: name + '(' + nodes.map(function (node) { return toText(node, 0) }).join(', ') + ')',
+      precedence: 3
+    }
+  }
+  var values = nodes.map(function (node) {
+    return node.value
+  })
+  var value = name === 'min' ? Math.min.apply(Math, values) : name === 'max' ? Math.max.apply(Math, values) :
+    Math.max(values[0], Math.min(values[1], values[2]))
+  return { type: nodes[0].type, value: value, unit: nodes[0].unit, precedence: 3 }
+}
+
+/**
+ * Split an expression into numbers, operators, parentheses and functions. The math functions are
+ * computed, the other functions, e.g. `var()`, are kept as they are, for the runtime to compute them.
+ *
+ * @param {string} source the expression, e.g. `calc(100% - 10px)`
+ * @param {array} checked the arguments of the math functions, added to
+ * @return {array} tokens with their type, text and offsets in the source
+ */
+function tokenize(source, checked) {
+  var tokens = []
+  var i = 0
+  while (i < source.length) {
+    var rest = source.slice(i)
+    var space = rest.match(/^\s+/)
+    if (space) {
+      i += space[0].length
+      continue
+    }
+    var previous = tokens[tokens.length - 1]
+    var operand = previous && (previous.type === 'number' || previous.type === 'function' || previous.type === ')')
+    var match = !operand && rest.match(NUMBER_REGEXP)
+    if (match || /^\d/.test(rest)) {
+      match = match || rest.match(NUMBER_REGEXP)
+      var unit = match[3] || ''
+      if (!UNIT_TYPES.hasOwnProperty(unit.toLowerCase())) {
+        throw new CalcError('STYLE-CALC-UNIT-UNKNOWN', { unit: unit, expression: match[0] })
+      }
+      tokens.push({ type: 'number', value: parseFloat(match[0]), unit: unit.toLowerCase(),
+        start: i, end: i + match[0].length })
+      i += match[0].length
+    } else if (/^calc\(/i.test(rest) || rest[0] === '(') {
+      var open = rest[0] === '(' ? 1 : 5
+      tokens.push({ type: '(', start: i, end: i + open })
+      i += open
+    } else if (FUNCTION_REGEXP.test(rest)) {
+      var name = rest.match(FUNCTION_REGEXP)[0]
+      var close = findClosing(source, i + name.length)
+      if (close === -1) {
+        throw new CalcError('STYLE-CALC-PARENTHESES', { expression: rest })
+      }
+      var call = source.slice(i, close + 1)
+      tokens.push({
+        type: 'function',
+        node: MATH_REGEXP.test(name) ?
+          evaluateFunction(name.slice(0, -1).toLowerCase(), source.slice(i + name.length, close), call, checked) :
+          { type: 'unknown', text: call, precedence: 3 },
+        start: i,
+        end: close + 1
+      })
+      i = close + 1
+    } else if (rest[0] === ')') {
+      tokens.push({ type: ')', start: i, end: i + 1 })
+      i++
+    } else if (PRECEDENCE.hasOwnProperty(rest[0])) {
+      // `+` and `-` need spaces around them, not to be read as the sign of a number
+      if ((rest[0] === '+' || rest[0] === '-') &&
+        (!/\s/.test(source[i - 1] || '') || !/\s/.test(source[i + 1] || ''))) {
+        throw new CalcError('STYLE-CALC-OPERATOR-SPACE', {
+          operator: rest[0],
+          expression: source.slice(previous ? previous.start : i, i + 1 + (rest.slice(1).match(/^\S*/)[0].length))
+        })
+      }
+      tokens.push({ type: 'operator', value: rest[0], start: i, end: i + 1 })
+      i++
+    } else {
+      throw new CalcError('STYLE-CALC-INVALID', { expression: rest.match(/^\S+/)[0] })
+    }
+  }
+  return tokens
+}
+
+/**
+ * Format a number without the errors of the floating point operations
+ *
+ * @param {number} value
+ * @return {string}
+ */
+function formatNumber(value) {
+  return String(Math.round(value * 1e6) / 1e6)
+}
+
+/**
+ * Get the text of a node in an expression, in parentheses when its operator has a lower precedence
+ *
+ * @param {object} node
+ * @param {number} precedence of the operator the node is an operand of
+ * @param {boolean} right whether the node is the right operand, which needs parentheses for the same precedence
+ * @return {string}
+ */
+function toText(node, precedence, right) {
+  var text = node.text !== undefined ? node.text : formatNumber(node.value) + node.unit
+  return node.precedence < precedence || right && node.precedence === precedence ? '(' + text + ')' : text
+}
+
+/**
+ * Compute an operation, folding the constants of the same unit, or of units of time or of angle,
+ * e.g. `1s + 200ms`, and keep the other ones for the runtime, e.g. `100% - 10px`
+ *
+ * @param {string} operator
+ * @param {object} left
+ * @param {object} right
+ * @param {string} expression the source of the operation, for the logs
+ * @return {object} node with the value and unit, or the text, of the result and its type
+ */
+function operate(operator, left, right, expression) {
+  var known = left.type !== 'unknown' && right.type !== 'unknown'
+  var type
+  if (operator === '+' || operator === '-') {
+    var types = [left.type, right.type].sort().join()
+    if (known && left.type !== right.type && types !== 'length,percentage') {
+      throw new CalcError(operator === '+' ? 'STYLE-CALC-ADDITION' : 'STYLE-CALC-SUBTRACTION', {
+        expression: expression,
+        left: left.type,
+        right: right.type
+      })
+    }
+    type = left.type === right.type ? left.type : (known ? 'length' : 'unknown')
+    var converted = convertUnits([left, right])
+    left = converted[0]
+    right = converted[1]
+    if (left.text === undefined && right.text === undefined && left.unit === right.unit) {
+      return { type: type, value: operator === '+' ? left.value + right.value : left.value - right.value,
+        unit: left.unit, precedence: 3 }
+    }
+  } else if (operator === '*') {
+    if (known && left.type !== 'number' && right.type !== 'number') {
+      throw new CalcError('STYLE-CALC-MULTIPLIER', { expression: expression })
+    }
+    type = left.type === 'number' ? right.type : left.type
+    if (left.text === undefined && right.text === undefined) {
+      return { type: type, value: left.value * right.value, unit: left.unit || right.unit, precedence: 3 }
+    }
+  } else {
+    if (right.type !== 'number' && right.type !== 'unknown' || right.text === undefined && right.value === 0) {
+      throw new CalcError('STYLE-CALC-DIVISOR', { expression: expression })
+    }
+    type = left.type
+    if (left.text === undefined && right.text === undefined) {
+      return { type: type, value: left.value / right.value, unit: left.unit, precedence: 3 }
+    }
+  }
+  return {
+    type: type,
+    text: toText(left, PRECEDENCE[operator]) + ' ' + operator + ' ' + toText(right, PRECEDENCE[operator], true),
+    precedence: PRECEDENCE[operator]
+  }
+}
+
+/**
+ * Parse the tokens of an expression and compute it
+ *
+ * @param {array} tokens
+ * @param {string} source
+ * @return {object} node of the result, see `operate`
+ */
+function evaluateTokens(tokens, source) {
+  var index = 0
+
+  function operand() {
+    var token = tokens[index++]
+    if (!token || token.type === 'operator' || token.type === ')') {
+      throw new CalcError('STYLE-CALC-INVALID', {
+        expression: token ? source.slice(token.start) : source
+      })
+    }
+    if (token.type === 'number') {
+      return { type: UNIT_TYPES[token.unit], value: token.value, unit: token.unit, precedence: 3,
+        start: token.start, end: token.end }
+    }
+    if (token.type === 'function') {
+      return Object.assign({}, token.node, { start: token.start, end: token.end })
+    }
+    var node = sum()
+    var close = tokens[index++]
+    if (!close || close.type !== ')') {
+      throw new CalcError('STYLE-CALC-PARENTHESES', { expression: source.slice(token.start) })
+    }
+    return Object.assign({}, node, { start: token.start, end: close.end })
+  }
+
+  function binary(next, operators) {
+    var left = next()
+    while (tokens[index] && tokens[index].type === 'operator' && operators.indexOf(tokens[index].value) !== -1) {
+      var operator = tokens[index++].value
+      var right = next()
+      left = Object.assign(operate(operator, left, right, source.slice(left.start, right.end)), {
+        start: left.start,
+        end: right.end
+      })
+    }
+    return left
+  }
+
+  function product() {
+    return binary(operand, ['*', '/'])
+  }
+
+  function sum() {
+    return binary(product, ['+', '-'])
+  }
+
+  var result = sum()
+  if (index < tokens.length) {
+    throw new CalcError(tokens[index].type === ')' ? 'STYLE-CALC-PARENTHESES' : 'STYLE-CALC-INVALID', {
+      expression: source.slice(tokens[index].start)
+    })
+  }
+  return result
+}
+
+/**
+ * Compute the math functions of a value, e.g. `calc(100% - 2 * 15px)`, `translateX(calc(10px * 1.5))`
+ * or `clamp(12fp, 4vp, 20fp)`
+ *
+ * @param {string} value
+ * @return {object} the value with the math functions computed, a dimension when they are constant,
+ *                  e.g. `30px`, their simplified form otherwise, e.g. `calc(100% - 30px)`, and the
+ *                  arguments of the math functions to `check` like the value; or the `log` of the first
+ *                  one which is invalid
+ */
+function evaluate(value) {
+  var reg = new RegExp(MATH_REGEXP.source, 'ig')
+  var checked = []
+  var result = ''
+  var last = 0
+  var match
+  while ((match = reg.exec(value))) {
+    var close = findClosing(value, match.index + match[0].length)
+    if (close === -1) {
+      return { log: messages.createLog('STYLE-CALC-PARENTHESES', { expression: value.slice(match.index) }) }
+    }
+    var expression = value.slice(match.index, close + 1)
+    try {
+      var node = evaluateTokens(tokenize(expression, checked), expression)
+      result += value.slice(last, match.index) + (node.precedence < 3 ? 'calc(' + node.text + ')' : toText(node, 0))
+    } catch (e) {
+      if (e instanceof CalcError) {
+        return { log: e.log }
+      }
+      throw e
+    }
+    last = reg.lastIndex = close + 1
+  }
+  return { value: result + value.slice(last), check: checked }
+}
+
+module.exports = {
+  UNIT_TYPES: UNIT_TYPES,
+  MATH_REGEXP: MATH_REGEXP,
+  evaluate: evaluate
+}
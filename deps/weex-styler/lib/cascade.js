@@ -0,0 +1,185 @@
+'use strict'
+
+var util = require('./util')
+var messages = require('./messages')
+var selector = require('./selector')
+
+var IMPORTANT = /\s*!\s*important\s*$/i
+
+// properties of a selector -> the declarations their values come from, by property
+var origins = new WeakMap()
+
+/**
+ * Cascade of the declarations of a style. The properties of a selector, or of a rule, are set by
+ * the declarations in source order, the ones of the imported files at their `@import`, a later
+ * declaration overriding an earlier one unless the earlier one is `!important` and the later one
+ * is not. The runtime orders the selectors matching an element, the ones of the style are sorted
+ * by specificity then by source order, and the `!important` properties are listed by selector
+ * in `@IMPORTANT`.
+ */
+
+/**
+ * Split the `!important` flag of a declaration off its value
+ *
+ * @param {string} value
+ * @return {object} the `value` without the flag, and whether it is `important`
+ */
+function splitImportant(value) {
+  if (typeof value === 'string' && IMPORTANT.test(value)) {
+    return { value: value.replace(IMPORTANT, ''), important: true }
+  }
+  return { value: value, important: false }
+}
+
+/**
+ * Get the declaration the value of a property comes from
+ *
+ * @param {object} properties of a selector or a rule
+ * @param {string} prop
+ * @return {object|undefined}
+ */
+function getOrigin(properties, prop) {
+  var declared = origins.get(properties)
+  return declared && declared[prop]
+}
+
+/**
+ * Set a property by the cascade
+ *
+ * @param {object} properties of a selector or a rule
+ * @param {string} prop
+ * @param {*} value
+ * @param {object} origin the declaration: its `line` and `column`, whether it is `important`,
+ *                        `shorthand` if it is expanded from a shorthand property, `imported` if
+ *                        it comes from an imported file
+ * @param {object} report given to report the overridden declarations: the `log` and the `selector`
+ * @return {boolean} whether the property is set, false if it is overridden by an earlier declaration
+ */
+function declare(properties, prop, value, origin, report) {
+  var declared = origins.get(properties)
+  if (!declared) {
+    declared = {}
+    origins.set(properties, declared)
+  }
+  var previous = declared[prop]
+  if (previous && previous !== origin) {
+    var ignored = previous.important && !origin.important ? origin : previous
+    var winner = ignored === origin ? previous : origin
+    // a shorthand refined by a longhand declared after it is not reported
+    if (report && !ignored.imported && !winner.imported && !(ignored.shorthand && !winner.shorthand)) {
+      report.log.push(messages.createLog('STYLE-PROPERTY-OVERRIDDEN', {
+        property: util.camelCaseToHyphened(prop),
+        selector: report.selector,
+        important: winner.important,
+        line: winner.line
+      }, ignored))
+    }
+    if (ignored === origin) {
+      return false
+    }
+  }
+  properties[prop] = value
+  declared[prop] = origin
+  return true
+}
+
+/**
+ * Add the style of an imported file to the importing one at the position of its `@import`
+ *
+ * @param {object} jsonStyle of the importing file, or of its `@media` rule
+ * @param {object} imported style of the imported file
+ */
+function merge(jsonStyle, imported) {
+  var important = imported['@IMPORTANT'] || {}
+  Object.keys(imported).forEach(function (key) {
+    var value = imported[key]
+    if (key === '@IMPORTANT') {
+      return
+    }
+    if (key === '@MEDIA' || key === '@FONT-FACE') {
+      jsonStyle[key] = (jsonStyle[key] || []).concat(value)
+    } else if (key[0] === '@') {
+      jsonStyle[key] = jsonStyle[key] || {}
+      Object.keys(value).forEach(function (name) {
+        jsonStyle[key][name] = Array.isArray(value[name]) ? value[name] : Object.assign({}, jsonStyle[key][name], value[name])
+      })
+    } else {
+      jsonStyle[key] = jsonStyle[key] || {}
+      Object.keys(value).forEach(function (prop) {
+        declare(jsonStyle[key], prop, value[prop], {
+          imported: true,
+          important: (important[key] || []).indexOf(prop) !== -1
+        })
+      })
+    }
+  })
+}
+
+/**
+ * Get the specificity of a key of a style
+ *
+ * @param {string} key
+ * @return {array}
+ */
+function getSpecificity(key) {
+  var parsed = selector.parse(key)
+  return parsed.part ? [0, 0, 0] : selector.specificity(parsed)
+}
+
+/**
+ * Order the selectors of a style by specificity then by source order, and list their `!important`
+ * properties in `@IMPORTANT`, last. The keys starting with `@`, e.g. `@KEYFRAMES`, keep their place,
+ * the selectors are sorted in the places of the selectors.
+ *
+ * @param {object} jsonStyle of a file, or of a `@media` rule
+ */
+function finish(jsonStyle) {
+  var keys = Object.keys(jsonStyle)
+  var selectors = keys.filter(function (key) {
+    return key[0] !== '@'
+  }).map(function (key, index) {
+    return { key: key, index: index, specificity: getSpecificity(key) }
+  }).sort(function (a, b) {
+    for (var i = 0; i < 3; i++) {
+      if (a.specificity[i] !== b.specificity[i]) {
+        return a.specificity[i] - b.specificity[i]
+      }
+    }
+    return a.index - b.index
+  })
+  var important = {}
+  selectors.forEach(function (item) {
+    var declared = origins.get(jsonStyle[item.key]) || {}
+    var props = Object.keys(jsonStyle[item.key]).filter(function (prop) {
+      return declared[prop] && declared[prop].important
+    })
+    if (props.length) {
+      important[item.key] = props
+    }
+  })
+  var sorted = {}
+  var next = 0
+  keys.forEach(function (key) {
+    if (key[0] !== '@') {
+      key = selectors[next++].key
+      sorted[key] = jsonStyle[key]
+    } else if (key !== '@IMPORTANT') {
+      sorted[key] = jsonStyle[key]
+    }
+  })
+  if (Object.keys(important).length) {
+    sorted['@IMPORTANT'] = important
+  }
+  keys.forEach(function (key) {
+    delete jsonStyle[key]
+  })
+  Object.assign(jsonStyle, sorted)
+}
+
+module.exports = {
+  splitImportant: splitImportant,
+  getOrigin: getOrigin,
+  declare: declare,
+  merge: merge,
+  finish: finish
+}
@@ -0,0 +1,313 @@
+'use strict'
+
+var messages = require('./messages')
+
+/**
+ * Parser of the conditions of the `@media` rules and of the `@import` rules, e.g.
+ * `screen and (min-width: 320px)`, `(orientation: landscape), (round-screen)` or
+ * `(320px <= width < 600px) and (dark-mode: true)`, into their structured form:
+ *
+ * - queries: the queries of the list, each with its media `type`, `not` or `only`, and its `condition`
+ * - condition: `{and: [...]}`, `{or: [...]}`, `{not: condition}` or a feature
+ * - feature: `{feature, operator, value}`, the `min-` and `max-` prefixes and the range syntax are
+ *   turned into the `>=`, `>`, `<=`, `<` and `=` operators, a feature without value has no operator
+ */
+
+var MEDIA_TYPES = ['all', 'screen']
+var DEVICE_LEVELS = ['rich', 'card']
+
+// media features, with the type of their value, whether they take the `min-` and `max-` prefixes and
+// the range syntax, and the device levels supporting them
+var FEATURES = {
+  width: { type: 'length', range: true, levels: ['rich', 'card', 'lite'] },
+  height: { type: 'length', range: true, levels: ['rich', 'card', 'lite'] },
+  'device-width': { type: 'length', range: true, levels: DEVICE_LEVELS },
+  'device-height': { type: 'length', range: true, levels: DEVICE_LEVELS },
+  'aspect-ratio': { type: 'ratio', range: true, levels: ['rich', 'card', 'lite'] },
+  'device-aspect-ratio': { type: 'ratio', range: true, levels: DEVICE_LEVELS },
+  resolution: { type: 'resolution', range: true, levels: DEVICE_LEVELS },
+  orientation: { values: ['portrait', 'landscape'], levels: DEVICE_LEVELS },
+  'device-type': { values: ['default', 'phone', 'tablet', 'tv', 'car', 'wearable'], levels: DEVICE_LEVELS },
+  'round-screen': { values: ['true', 'false'], levels: ['rich', 'card', 'lite'] },
+  'dark-mode': { values: ['true', 'false'], levels: DEVICE_LEVELS }
+}
+
+var VALUE_TYPES = {
+  length: { regexp: /^\d*\.?\d+(px|vp|fp|lpx)?$/, expected: 'a length in px, vp, fp or lpx' },
+  ratio: { regexp: /^\d*\.?\d+(\s*\/\s*\d*\.?\d+)?$/, expected: 'a ratio, e.g. `16/9`' },
+  resolution: { regexp: /^\d*\.?\d+(dpi|dppx|dpcm|x)$/, expected: 'a resolution in dpi, dppx, dpcm or x' }
+}
+
+var TOKEN = /\s*(?:(<=|>=|[<>=(),:\/])|(\d*\.?\d+[a-zA-Z%]*)|(-?[A-Za-z_][\w-]*)|(\S))/g
+var REVERSED = { '<': '>', '<=': '>=', '>': '<', '>=': '<=', '=': '=' }
+
+/**
+ * Error of a condition, at the offset of the token in error
+ *
+ * @param {string} code
+ * @param {object} params
+ * @param {number} index
+ */
+function MediaError(code, params, index) {
+  this.code = code
+  this.params = params
+  this.index = index
+}
+
+/**
+ * Split a condition into tokens
+ *
+ * @param {string} condition
+ * @return {array} the `type`, `value` and `index` of each token
+ */
+function tokenize(condition) {
+  var tokens = []
+  var match
+  TOKEN.lastIndex = 0
+  while (TOKEN.lastIndex < condition.length && (match = TOKEN.exec(condition))) {
+    var index = match.index + match[0].length - (match[1] || match[2] || match[3] || match[4]).length
+    if (match[4]) {
+      throw new MediaError('STYLE-MEDIA-SYNTAX', { detail: 'unexpected `' + match[4] + '`' }, index)
+    }
+    tokens.push({
+      type: match[1] ? match[1] : match[2] ? 'number' : 'ident',
+      value: match[1] || match[2] || match[3].toLowerCase(),
+      index: index
+    })
+  }
+  return tokens
+}
+
+/**
+ * Parser of the tokens of a condition
+ *
+ * @param {string} condition
+ * @param {string} level device level
+ */
+function Parser(condition, level) {
+  this.condition = condition
+  this.level = level
+  this.tokens = tokenize(condition)
+  this.position = 0
+}
+
+Parser.prototype.peek = function (offset) {
+  return this.tokens[this.position + (offset || 0)]
+}
+
+Parser.prototype.next = function () {
+  return this.tokens[this.position++]
+}
+
+Parser.prototype.isIdent = function (token, value) {
+  return token && token.type === 'ident' && (value === undefined || token.value === value)
+}
+
+Parser.prototype.fail = function (detail, token) {
+  throw new MediaError('STYLE-MEDIA-SYNTAX', {
+    detail: token ? detail + ' at `' + this.condition.slice(token.index) + '`' : detail + ' at the end'
+  }, token ? token.index : this.condition.length)
+}
+
+Parser.prototype.expect = function (type) {
+  var token = this.next()
+  if (!token || token.type !== type) {
+    this.fail('expected `' + type + '`', token)
+  }
+  return token
+}
+
+Parser.prototype.parseList = function () {
+  var queries = [this.parseQuery()]
+  while (this.peek() && this.peek().type === ',') {
+    this.next()
+    queries.push(this.parseQuery())
+  }
+  if (this.peek()) {
+    this.fail('unexpected `' + this.peek().value + '`', this.peek())
+  }
+  return queries
+}
+
+Parser.prototype.parseQuery = function () {
+  var query = {}
+  var token = this.peek()
+  if ((this.isIdent(token, 'not') || this.isIdent(token, 'only')) && this.isIdent(this.peek(1))) {
+    query[this.next().value] = true
+    token = this.peek()
+  }
+  if (this.isIdent(token) && token.value !== 'not') {
+    this.next()
+    if (MEDIA_TYPES.indexOf(token.value) === -1) {
+      throw new MediaError('STYLE-MEDIA-SYNTAX', {
+        detail: 'the media type `' + token.value + '` is not supported, supported: ' + MEDIA_TYPES.join(', ')
+      }, token.index)
+    }
+    query.type = token.value
+    if (!this.isIdent(this.peek(), 'and')) {
+      return query
+    }
+    this.next()
+    query.condition = this.parseCondition(['and'])
+    return query
+  }
+  query.condition = this.parseCondition(['and', 'or'])
+  return query
+}
+
+Parser.prototype.parseCondition = function (operators) {
+  if (this.isIdent(this.peek(), 'not')) {
+    this.next()
+    return { not: this.parseInParens() }
+  }
+  var first = this.parseInParens()
+  var token = this.peek()
+  if (!this.isIdent(token) || operators.indexOf(token.value) === -1) {
+    return first
+  }
+  var operator = token.value
+  var condition = {}
+  // the ranges of two comparisons are `and` conditions, merged into the one they are in
+  condition[operator] = [].concat(operator === 'and' && first.and || first)
+  while (this.isIdent(this.peek(), operator)) {
+    this.next()
+    var item = this.parseInParens()
+    condition[operator] = condition[operator].concat(operator === 'and' && item.and || item)
+  }
+  token = this.peek()
+  if (this.isIdent(token, 'and') || this.isIdent(token, 'or')) {
+    this.fail('`and` and `or` can not be mixed without parentheses', token)
+  }
+  return condition
+}
+
+Parser.prototype.parseInParens = function () {
+  this.expect('(')
+  var token = this.peek()
+  var result = token && (token.type === '(' || this.isIdent(token, 'not')) ?
+    this.parseCondition(['and', 'or']) : this.parseFeature()
+  this.expect(')')
+  return result
+}
+
+Parser.prototype.parseValue = function () {
+  var token = this.next()
+  if (!token || (token.type !== 'number' && token.type !== 'ident')) {
+    this.fail('expected a value', token)
+  }
+  if (token.type === 'number' && this.peek() && this.peek().type === '/') {
+    this.next()
+    var denominator = this.expect('number')
+    return { value: token.value + '/' + denominator.value, index: token.index }
+  }
+  return { value: token.value, index: token.index }
+}
+
+Parser.prototype.isOperator = function (token) {
+  return token && REVERSED.hasOwnProperty(token.type)
+}
+
+Parser.prototype.parseFeature = function () {
+  var token = this.peek()
+  // `value op name` and `value op name op value`
+  if (token && token.type === 'number') {
+    var left = this.parseValue()
+    if (!this.isOperator(this.peek())) {
+      this.fail('expected a comparison', this.peek())
+    }
+    var leftOperator = REVERSED[this.next().type]
+    var name = this.expect('ident')
+    var features = [this.checkFeature(name, leftOperator, left, true)]
+    if (this.isOperator(this.peek())) {
+      var operator = this.next()
+      if (operator.type === '=' || (operator.type[0] === '<') !== (leftOperator[0] === '>')) {
+        this.fail('the comparisons of a range must go the same way', operator)
+      }
+      features.push(this.checkFeature(name, operator.type, this.parseValue(), true))
+    }
+    return features.length === 1 ? features[0] : { and: features }
+  }
+  name = this.expect('ident')
+  token = this.peek()
+  if (token && token.type === ':') {
+    this.next()
+    return this.checkFeature(name, '=', this.parseValue(), false)
+  }
+  if (this.isOperator(token)) {
+    this.next()
+    return this.checkFeature(name, token.type, this.parseValue(), true)
+  }
+  return this.checkFeature(name)
+}
+
+/**
+ * Check a feature, its name against the device level and its value against its type
+ *
+ * @param {object} name token
+ * @param {string} operator
+ * @param {object} value with its index, undefined for a feature without value
+ * @param {boolean} range whether the range syntax is used
+ * @return {object} the feature, with the `min-` and `max-` prefixes turned into operators
+ */
+Parser.prototype.checkFeature = function (name, operator, value, range) {
+  var feature = name.value
+  var prefix = feature.match(/^(min|max)-/)
+  if (prefix && FEATURES[feature.slice(4)] && FEATURES[feature.slice(4)].range && operator === '=' && !range) {
+    feature = feature.slice(4)
+    operator = prefix[1] === 'min' ? '>=' : '<='
+  }
+  var definition = FEATURES[feature]
+  if (!definition || (prefix && feature === name.value)) {
+    throw new MediaError('STYLE-MEDIA-FEATURE-UNSUPPORTED', { feature: name.value }, name.index)
+  }
+  if (definition.levels.indexOf(this.level) === -1) {
+    throw new MediaError('STYLE-MEDIA-FEATURE-UNSUPPORTED', { feature: name.value, level: this.level }, name.index)
+  }
+  if (!value) {
+    return { feature: feature }
+  }
+  if (range && !definition.range) {
+    this.fail('the media feature `' + feature + '` can not be compared', name)
+  }
+  var type = definition.type && VALUE_TYPES[definition.type]
+  if (type ? !type.regexp.test(value.value) : definition.values.indexOf(value.value) === -1) {
+    throw new MediaError('STYLE-MEDIA-VALUE-INVALID', {
+      feature: name.value,
+      value: value.value,
+      expected: type ? type.expected : definition.values.map(function (item) {
+        return '`' + item + '`'
+      }).join(', ')
+    }, value.index)
+  }
+  return { feature: feature, operator: operator, value: value.value }
+}
+
+/**
+ * Parse the condition of a `@media` rule
+ *
+ * @param {string} condition
+ * @param {string} level device level, rich by default
+ * @return {object} the `queries`, or the `log` of the condition which is not valid, with the `index`
+ *                  of the part in error in the condition
+ */
+function parse(condition, level) {
+  try {
+    var parser = new Parser(condition, level || 'rich')
+    if (!parser.tokens.length) {
+      parser.fail('expected a media query')
+    }
+    return { queries: parser.parseList() }
+  } catch (e) {
+    if (e instanceof MediaError) {
+      return {
+        log: messages.createLog(e.code, Object.assign({ condition: condition.replace(/\s+/g, ' ') }, e.params)),
+        index: e.index
+      }
+    }
+    throw e
+  }
+}
+
+module.exports = {
+  parse: parse
+}
@@ -0,0 +1,405 @@
+'use strict'
+
+var util = require('./util')
+
+/**
+ * Catalog of the messages of the styler, keyed by stable codes which can be searched,
+ * suppressed and documented. Each message has its default severity and builds its text
+ * from the parameters of the log:
+ * - key: the property name as written in the validator, name: the hyphened property name
+ * - value: the value checked, result: the value it is fixed to
+ * - detail: the end of the text, when it depends on the check
+ */
+var MESSAGES = {
+  // parsing
+  'STYLE-SYNTAX-ERROR': {
+    severity: 'ERROR',
+    text: function (p) {
+      return p.detail
+    }
+  },
+  'STYLE-SELECTOR-UNSUPPORTED': {
+    severity: 'ERROR',
+    text: function (p) {
+      return p.part ? 'The `' + p.part + '` part of the `' + p.selector + '` selector is not supported.' :
+        'The `' + p.selector + '` selector is not supported.'
+    }
+  },
+  'STYLE-PSEUDO-UNKNOWN': {
+    severity: 'ERROR',
+    text: function (p) {
+      return 'The `' + p.pseudo + '` pseudo-' + (p.element ? 'element' : 'class') + ' of the `' + p.selector +
+        '` selector is not supported, supported: ' + p.supported.join(', ') + '.'
+    }
+  },
+  'STYLE-PSEUDO-COMPONENT': {
+    severity: 'ERROR',
+    text: function (p) {
+      return 'The `' + p.pseudo + '` pseudo-class of the `' + p.selector + '` selector is not supported by the `' +
+        p.component + '` component, only by ' + p.components.map(function (component) {
+          return '`' + component + '`'
+        }).join(', ') + '.'
+    }
+  },
+  'STYLE-MEDIA-SYNTAX': {
+    severity: 'ERROR',
+    text: function (p) {
+      return 'The media condition `' + p.condition + '` is invalid, ' + p.detail + ', its rules are ignored.'
+    }
+  },
+  'STYLE-MEDIA-FEATURE-UNSUPPORTED': {
+    severity: 'ERROR',
+    text: function (p) {
+      return 'The media feature `' + p.feature + '` is not supported' +
+        (p.level ? ' by the `' + p.level + '` device level' : '') + ', the rules of `' + p.condition + '` are ignored.'
+    }
+  },
+  'STYLE-MEDIA-VALUE-INVALID': {
+    severity: 'ERROR',
+    text: function (p) {
+      return 'The value `' + p.value + '` of the media feature `' + p.feature + '` is invalid, expected ' + p.expected +
+        ', the rules of `' + p.condition + '` are ignored.'
+    }
+  },
+  'STYLE-KEYFRAMES-UNSUPPORTED': {
+    severity: 'ERROR',
+    text: function () {
+      return 'The keyframes is not supported!'
+    }
+  },
+  'STYLE-IMPORT-NOT-FOUND': {
+    severity: 'ERROR',
+    text: function (p) {
+      var tried = (p.tried || []).filter(function (file) {
+        return file !== p.path
+      })
+      return 'no such file or directory, open ' + p.path + (tried.length ? '. Tried: ' + tried.join(', ') : '')
+    }
+  },
+  'STYLE-IMPORT-CYCLE': {
+    severity: 'ERROR',
+    text: function (p) {
+      return 'The style files import each other: ' + p.chain + '.'
+    }
+  },
+  'STYLE-IMPORT-DUPLICATED': {
+    severity: 'WARNING',
+    text: function (p) {
+      return 'The style file `' + p.file + '` is imported more than once: ' + p.previous + ' and ' +
+        p.chain + '.'
+    }
+  },
+
+  // properties
+  'STYLE-PROPERTY-UNKNOWN': {
+    severity: 'WARNING',
+    text: function (p) {
+      return '`' + p.name + '` is not a standard attribute name and may not be supported' +
+        (p.suggested ? ', suggest `' + p.suggested + '`' : '')
+    }
+  },
+  'STYLE-PROPERTY-OVERRIDDEN': {
+    severity: 'WARNING',
+    text: function (p) {
+      return 'The `' + p.property + '` property of the `' + p.selector + '` selector is overridden by the ' +
+        (p.important ? '`!important` ' : '') + 'declaration at line ' + p.line + ', this declaration is ignored.'
+    }
+  },
+
+  // units
+  'STYLE-UNIT-MISSING': {
+    severity: 'WARNING',
+    text: function (p) {
+      return 'No unit is specified for the `' + p.name + '` attribute. The default unit is ' + p.unit
+    }
+  },
+  'STYLE-UNIT-UNSUPPORTED': {
+    severity: 'ERROR',
+    text: function (p) {
+      return 'The `' + p.key + '` attribute does not support `' + p.unit + '`. The default unit is ' +
+        p.defaultUnit
+    }
+  },
+  'STYLE-ANGLE-UNIT-MISSING': {
+    severity: 'WARNING',
+    text: function (p) {
+      return 'No unit is specified for the value `' + p.value + '` of the `' + p.name +
+        '` attribute. The default unit is `' + p.unit + '`.'
+    }
+  },
+  'STYLE-ANGLE-UNIT-UNSUPPORTED': {
+    severity: 'ERROR',
+    text: function (p) {
+      return 'The `' + p.name + '` attribute does not support `' + p.unit + '`. It only supports `' +
+        JSON.stringify(p.units) + '`.'
+    }
+  },
+
+  // values
+  'STYLE-VALUE-AUTOFIXED': {
+    severity: 'NOTE',
+    text: function (p) {
+      return 'Attribute value `' + p.value + '` is automatically fixed to `' + p.result + '`.'
+    }
+  },
+  'STYLE-VALUE-DEFAULT': {
+    severity: 'NOTE',
+    text: function (p) {
+      return 'Value `' + p.value + '` is the default value of the `' + p.name +
+        '` attribute (the value can be removed).'
+    }
+  },
+  'STYLE-VALUE-UNSUPPORTED': {
+    severity: 'ERROR',
+    text: function (p) {
+      return 'The `' + p.name + '` attribute does not support value `' + p.value + '`' +
+        (p.detail ? ' (' + p.detail + ')' : '') + '.'
+    }
+  },
+  'STYLE-VALUE-NOT-NUMBER': {
+    severity: 'ERROR',
+    text: function (p) {
+      return 'The `' + p.name + '` attribute does not support the `' + p.value +
+        '` value (only numbers are supported).'
+    }
+  },
+  'STYLE-VALUE-INCORRECT': {
+    severity: 'ERROR',
+    text: function (p) {
+      return 'Value `' + p.value + '` of the `' + p.name + '` attribute is incorrect.' + (p.detail || '')
+    }
+  },
+  'STYLE-VALUE-INVALID': {
+    severity: 'ERROR',
+    text: function (p) {
+      return 'Value `' + p.value + '` of the `' + p.name + '` attribute is invalid.' + (p.detail || '')
+    }
+  },
+  'STYLE-VALUE-FORMAT': {
+    severity: 'ERROR',
+    text: function (p) {
+      return 'The format of value `' + p.value + '` of the `' + p.name + '` attribute is incorrect' +
+        (p.detail || '.')
+    }
+  },
+  'STYLE-VALUE-PROBLEMS': {
+    severity: 'WARNING',
+    text: function (p) {
+      return 'There are some problems with value `' + p.value + '` of the `' + p.name + '` attribute. \n ' +
+        p.detail
+    }
+  },
+  'STYLE-VALUE-ORDER': {
+    severity: 'ERROR',
+    text: function (p) {
+      return 'Value `' + p.value + '` of the `' + p.name + '` attribute must be set in order(' + p.order + ').'
+    }
+  },
+  'STYLE-VALUE-NOT-COLOR-OR-URL': {
+    severity: 'ERROR',
+    text: function (p) {
+      return 'Value `' + p.value + '` of the `' + p.name +
+        '` attribute does not meet the inspection standards for the color or url.'
+    }
+  },
+  'STYLE-COLOR-INVALID': {
+    severity: 'ERROR',
+    text: function (p) {
+      return 'Value `' + p.value + '` is invalid for the `' + p.name + '` attribute.'
+    }
+  },
+  'STYLE-IMAGE-INVALID': {
+    severity: 'ERROR',
+    text: function (p) {
+      return 'Value `' + p.value + '` of the `' + p.name + '` attribute must be none or url(...).'
+    }
+  },
+  'STYLE-ANIMATION-INVALID': {
+    severity: 'ERROR',
+    text: function () {
+      return 'animation is invalid'
+    }
+  },
+  'STYLE-BLUR-STYLE-INVALID': {
+    severity: 'ERROR',
+    text: function (p) {
+      return p.detail
+    }
+  },
+
+  // custom properties, see `lib/variables.js`
+  'STYLE-VAR-UNDEFINED': {
+    severity: 'WARNING',
+    text: function (p) {
+      return 'The custom property `' + p.name + '` is not defined and `var()` has no fallback value, ' +
+        'the declaration is ignored.'
+    }
+  },
+  'STYLE-VAR-CIRCULAR': {
+    severity: 'WARNING',
+    text: function (p) {
+      return 'The custom properties refer to each other: ' + p.chain + ', the declaration is ignored.'
+    }
+  },
+  'STYLE-VAR-SHORTHAND': {
+    severity: 'WARNING',
+    text: function (p) {
+      return 'The `var()` of the shorthand property `' + p.name + '` can not be kept for the runtime, ' +
+        'they are resolved when compiled: `' + p.value + '`. Each part of the value must be one `var()` ' +
+        'standing for one part, or have no `var()`.'
+    }
+  },
+
+  // calc(), min(), max(), clamp() and env(), see `lib/calc.js`, `expression` is the sub-expression in error
+  'STYLE-CALC-PARENTHESES': {
+    severity: 'ERROR',
+    text: function (p) {
+      return 'Expression unmatched (): `' + p.expression + '`'
+    }
+  },
+  'STYLE-CALC-MULTIPLIER': {
+    severity: 'ERROR',
+    text: function (p) {
+      return 'One operand of the multiplication must be a number: `' + p.expression + '`'
+    }
+  },
+  'STYLE-CALC-DIVISOR': {
+    severity: 'ERROR',
+    text: function (p) {
+      return 'The divisor must be a number and cannot be zero: `' + p.expression + '`'
+    }
+  },
+  'STYLE-CALC-ADDITION': {
+    severity: 'ERROR',
+    text: function (p) {
+      return 'The operands of the addition must have the same type, got ' + p.left + ' and ' + p.right +
+        ': `' + p.expression + '`'
+    }
+  },
+  'STYLE-CALC-SUBTRACTION': {
+    severity: 'ERROR',
+    text: function (p) {
+      return 'The operands of the subtraction must have the same type, got ' + p.left + ' and ' + p.right +
+        ': `' + p.expression + '`'
+    }
+  },
+  'STYLE-CALC-INVALID': {
+    severity: 'ERROR',
+    text: function (p) {
+      return 'Expression does not conform to specification at `' + p.expression + '`'
+    }
+  },
+  'STYLE-CALC-OPERATOR-SPACE': {
+    severity: 'ERROR',
+    text: function (p) {
+      return 'Expression error, a space is required before and after the `' + p.operator + '` operator: `' +
+        p.expression + '`'
+    }
+  },
+  'STYLE-MATH-ARGUMENTS': {
+    severity: 'ERROR',
+    text: function (p) {
+      return '`' + p.name + '()` takes ' + p.count + ' arguments: `' + p.expression + '`'
+    }
+  },
+  'STYLE-MATH-TYPES': {
+    severity: 'ERROR',
+    text: function (p) {
+      return 'The arguments of `' + p.name + '()` must have the same type, got ' + p.types + ': `' + p.expression + '`'
+    }
+  },
+  'STYLE-MATH-ENV-UNKNOWN': {
+    severity: 'ERROR',
+    text: function (p) {
+      return 'The environment variable `' + p.name + '` is not supported: `' + p.expression + '`'
+    }
+  },
+  'STYLE-CALC-UNIT-UNKNOWN': {
+    severity: 'ERROR',
+    text: function (p) {
+      return 'The unit `' + p.unit + '` is not supported in the expression: `' + p.expression + '`'
+    }
+  }
+}
+
+/**
+ * Build the reason of a log, its text prefixed with its severity
+ *
+ * @param {string} code
+ * @param {object} params parameters of the text, `severity` replaces the default severity
+ * @return {string}
+ */
+function format(code, params) {
+  var message = MESSAGES[code]
+  params = params || {}
+  return (params.severity || message.severity) + ': ' + message.text(params)
+}
+
+/**
+ * Create a log of the styler
+ *
+ * @param {string} code
+ * @param {object} params parameters of the text, see `format`
+ * @param {object} position start position of a css node, with line and column
+ * @return {object} log with line, column, reason and code
+ */
+function createLog(code, params, position) {
+  var log = {}
+  if (position) {
+    log.line = position.line
+    log.column = position.column
+  }
+  log.reason = format(code, params)
+  log.code = code
+  if (params && params.fix) {
+    log.fix = params.fix
+  }
+  return log
+}
+
+/**
+ * Create the `reason(k, v, result)` function of a validator result
+ *
+ * @param {string} code
+ * @param {object|function} params parameters of the text besides the property and the value,
+ *                                 or a function called with k, v, result returning them
+ * @return {function} reason function, with its `code`
+ */
+function reason(code, params) {
+  var fn = function (k, v, result) {
+    return format(code, Object.assign({
+      key: k,
+      name: util.camelCaseToHyphened(k),
+      value: v,
+      result: result
+    }, typeof params === 'function' ? params(k, v, result) : params))
+  }
+  fn.code = code
+  return fn
+}
+
+/**
+ * Combine the reasons of several checks of a value, one per line
+ *
+ * @param {Array<function>} reasons
+ * @return {function} reason function, with the code of the first reason
+ */
+function combine(reasons) {
+  var fn = function (k, v, result) {
+    return reasons.map(function (res) {
+      if (typeof res === 'function') {
+        return res(k, v, result)
+      }
+    }).join('\n')
+  }
+  fn.code = reasons[0] && reasons[0].code
+  return fn
+}
+
+module.exports = {
+  MESSAGES: MESSAGES,
+  format: format,
+  createLog: createLog,
+  reason: reason,
+  combine: combine
+}
@@ -0,0 +1,339 @@
+'use strict'
+
+/**
+ * Nested rules, which the css parser does not support, e.g.
+ *
+ *   .a {
+ *     color: #000000;
+ *     .b { color: #ff0000; }
+ *     &:active { color: #00ff00; }
+ *     > .c { color: #0000ff; }
+ *     @media (max-width: 400px) { color: #ffffff; }
+ *   }
+ *
+ * are flattened before the style is parsed: the nested rules are blanked out of their parent and
+ * written after it, with their selectors joined to the ones of the parent, `.a .b`, `.a:active` and
+ * `.a > .c`, and the nested `@media` rules wrap a rule of the parent selectors. The positions of the
+ * parsed style are then mapped back to the source.
+ */
+
+// at-rules whose blocks contain rules, the other blocks are left as they are, e.g. `@keyframes`
+var GROUP_AT_RULE = /^@media\b/i
+
+/**
+ * Skip a comment or a string
+ *
+ * @param {string} source
+ * @param {number} i offset of the character
+ * @return {number} offset after the comment or the string, `i` if there is none
+ */
+function skip(source, i) {
+  if (source[i] === '/' && source[i + 1] === '*') {
+    var end = source.indexOf('*/', i + 2)
+    return end === -1 ? source.length : end + 2
+  }
+  if (source[i] === '"' || source[i] === '\'') {
+    for (var j = i + 1; j < source.length; j++) {
+      if (source[j] === '\\') {
+        j++
+      } else if (source[j] === source[i] || source[j] === '\n') {
+        return j + 1
+      }
+    }
+    return source.length
+  }
+  return i
+}
+
+/**
+ * Find the blocks of a level of the source, with the blocks they contain
+ *
+ * @param {string} source
+ * @param {number} start offset of the level
+ * @return {object} the `blocks`, with the offsets of their statement, their prelude, `{`, `}` and their
+ *                  `end`, after the empty statements following them, e.g. `.b {};`, and the offset of
+ *                  the `end` of the level
+ */
+function scan(source, start) {
+  var blocks = []
+  var statement = start
+  var i = start
+  while (i < source.length) {
+    var next = skip(source, i)
+    if (next !== i) {
+      i = next
+      continue
+    }
+    var char = source[i]
+    if (char === '}') {
+      return { blocks: blocks, end: i }
+    }
+    if (char === ';') {
+      statement = i + 1
+    } else if (char === '{') {
+      var prelude = statement
+      while (prelude < i && (/\s/.test(source[prelude]) || skip(source, prelude) !== prelude)) {
+        prelude = /\s/.test(source[prelude]) ? prelude + 1 : skip(source, prelude)
+      }
+      var inner = scan(source, i + 1)
+      var end = inner.end + 1
+      for (var j = end; j < source.length && /[\s;]/.test(source[j]); j++) {
+        if (source[j] === ';') {
+          end = j + 1
+        }
+      }
+      blocks.push({
+        statement: statement,
+        prelude: prelude,
+        open: i,
+        close: inner.end,
+        end: end,
+        selector: source.slice(prelude, i).replace(/\/\*[\s\S]*?\*\//g, '').trim(),
+        blocks: inner.blocks
+      })
+      i = end
+      statement = i
+      continue
+    }
+    i++
+  }
+  return { blocks: blocks, end: source.length }
+}
+
+/**
+ * Whether a rule or a group at-rule contains nested rules
+ *
+ * @param {object} block
+ * @return {boolean}
+ */
+function isNested(block) {
+  if (GROUP_AT_RULE.test(block.selector)) {
+    return block.blocks.some(isNested)
+  }
+  return block.selector[0] !== '@' && block.blocks.length > 0
+}
+
+/**
+ * Split a selector list on its commas
+ *
+ * @param {string} selector
+ * @return {array}
+ */
+function splitSelectors(selector) {
+  var selectors = []
+  var depth = 0
+  var last = 0
+  for (var i = 0; i < selector.length; i++) {
+    if (selector[i] === '(' || selector[i] === '[') {
+      depth++
+    } else if (selector[i] === ')' || selector[i] === ']') {
+      depth--
+    } else if (selector[i] === ',' && !depth) {
+      selectors.push(selector.slice(last, i).trim())
+      last = i + 1
+    }
+  }
+  selectors.push(selector.slice(last).trim())
+  return selectors
+}
+
+/**
+ * Join the selectors of a nested rule to the ones of its parent: `&` is replaced by the parent,
+ * the other selectors are descendants of the parent, or are combined with it by `>`, `+` or `~`
+ *
+ * @param {array} parents
+ * @param {string} selector of the nested rule
+ * @return {array}
+ */
+function joinSelectors(parents, selector) {
+  var selectors = splitSelectors(selector)
+  if (!parents.length) {
+    return selectors
+  }
+  var joined = []
+  parents.forEach(function (parent) {
+    selectors.forEach(function (child) {
+      joined.push(child.indexOf('&') !== -1 ? child.replace(/&/g, parent) : parent + ' ' + child)
+    })
+  })
+  return joined
+}
+
+/**
+ * Generated code, with the offsets of the source each part comes from
+ */
+function Output(source) {
+  this.source = source
+  this.code = ''
+  this.segments = []
+}
+
+/**
+ * Copy a part of the source, the ranges given are blanked out, their lines kept
+ *
+ * @param {number} start
+ * @param {number} end
+ * @param {array} blanks ranges of offsets
+ */
+Output.prototype.copy = function (start, end, blanks) {
+  var text = this.source.slice(start, end)
+  ;(blanks || []).forEach(function (blank) {
+    text = text.slice(0, blank[0] - start) +
+      text.slice(blank[0] - start, blank[1] - start).replace(/[^\n]/g, ' ') +
+      text.slice(blank[1] - start)
+  })
+  this.segments.push({ start: this.code.length, end: this.code.length + text.length, origin: start, copied: true })
+  this.code += text
+}
+
+/**
+ * Write code which is not in the source, its positions are mapped to an offset of the source
+ *
+ * @param {string} text
+ * @param {number} origin
+ */
+Output.prototype.write = function (text, origin) {
+  this.segments.push({ start: this.code.length, end: this.code.length + text.length, origin: origin })
+  this.code += text
+}
+
+/**
+ * Write a rule, then its nested rules after it
+ *
+ * @param {Output} output
+ * @param {object} block
+ * @param {array} selectors of the rule, joined to the ones of its parents
+ */
+function writeRule(output, block, selectors) {
+  var nested = block.blocks.map(function (child) {
+    return [child.statement, child.end]
+  })
+  output.write(selectors.join(', ') + ' ', block.prelude)
+  output.copy(block.open, block.close + 1, nested)
+  block.blocks.forEach(function (child) {
+    output.write('\n', child.prelude)
+    if (GROUP_AT_RULE.test(child.selector)) {
+      output.write(child.selector + ' {\n', child.prelude)
+      writeRule(output, child, selectors)
+      output.write('\n}', child.close)
+    } else if (child.selector[0] === '@') {
+      output.copy(child.prelude, child.close + 1)
+    } else {
+      writeRule(output, child, joinSelectors(selectors, child.selector))
+    }
+  })
+}
+
+/**
+ * Flatten the nested rules of a style
+ *
+ * @param {string} source
+ * @return {object|undefined} the flattened `code` and the `segments` mapping it to the source,
+ *                            undefined if the style has no nested rules
+ */
+function flatten(source) {
+  var blocks = scan(source, 0).blocks
+  if (!blocks.some(isNested)) {
+    return
+  }
+  var output = new Output(source)
+  var last = 0
+  blocks.forEach(function (block) {
+    if (!isNested(block)) {
+      return
+    }
+    output.copy(last, block.statement)
+    if (GROUP_AT_RULE.test(block.selector)) {
+      output.copy(block.statement, block.open + 1)
+      var inner = block.open + 1
+      block.blocks.forEach(function (child) {
+        output.copy(inner, child.statement)
+        if (isNested(child)) {
+          output.copy(child.statement, child.prelude)
+          writeRule(output, child, splitSelectors(child.selector))
+        } else {
+          output.copy(child.statement, child.close + 1)
+        }
+        inner = child.close + 1
+      })
+      output.copy(inner, block.close + 1)
+    } else {
+      output.copy(block.statement, block.prelude)
+      writeRule(output, block, splitSelectors(block.selector))
+    }
+    last = block.close + 1
+  })
+  output.copy(last, source.length)
+  return { code: output.code, segments: output.segments }
+}
+
+/**
+ * Get the offsets of the lines of a code
+ *
+ * @param {string} code
+ * @return {array}
+ */
+function getLineOffsets(code) {
+  var offsets = [0]
+  for (var i = 0; i < code.length; i++) {
+    if (code[i] === '\n') {
+      offsets.push(i + 1)
+    }
+  }
+  return offsets
+}
+
+/**
+ * Map the positions of the style parsed from the flattened code back to the source: the ones of the
+ * copied code to the same code in the source, the ones of the selectors to the nested rules
+ *
+ * @param {object} ast parsed from the flattened code
+ * @param {string} source
+ * @param {object} flattened given by `flatten`
+ */
+function mapPositions(ast, source, flattened) {
+  var codeLines = getLineOffsets(flattened.code)
+  var sourceLines = getLineOffsets(source)
+
+  function map(position) {
+    if (!position || !position.line) {
+      return
+    }
+    var offset = codeLines[position.line - 1] + (position.column || 1) - 1
+    var segment = flattened.segments.find(function (segment) {
+      return offset >= segment.start && offset < segment.end
+    }) || flattened.segments[flattened.segments.length - 1]
+    var origin = segment.copied ? segment.origin + Math.min(offset, segment.end) - segment.start : segment.origin
+    var line = sourceLines.length
+    while (sourceLines[line - 1] > origin) {
+      line--
+    }
+    position.line = line
+    position.column = origin - sourceLines[line - 1] + 1
+  }
+
+  function walk(node) {
+    if (node && typeof node === 'object') {
+      if (node.position) {
+        map(node.position.start)
+        map(node.position.end)
+      }
+      Object.keys(node).forEach(function (key) {
+        if (key !== 'position' && key !== 'parent') {
+          walk(node[key])
+        }
+      })
+    }
+  }
+
+  walk(ast.stylesheet.rules)
+  ;(ast.stylesheet.parsingErrors || []).forEach(function (error) {
+    map(error)
+    error.message = error.filename + ':' + error.line + ':' + error.column + ': ' + error.reason
+  })
+}
+
+module.exports = {
+  flatten: flatten,
+  mapPositions: mapPositions
+}
@@ -0,0 +1,297 @@
+'use strict'
+
+var messages = require('./messages')
+
+/**
+ * Parser of the selectors of the style rules, e.g. `.list > .item:first-child`, `text.title`,
+ * `[type="button"]` or `.a + .b::after`:
+ *
+ * - compound selectors of a tag or `*`, ids, classes, attributes and structural pseudo-classes
+ * - descendant, child `>`, next sibling `+` and subsequent sibling `~` combinators
+ * - attributes with the `=`, `~=`, `|=`, `^=`, `$=` and `*=` operators
+ * - `:root`, `:first-child`, `:last-child` and `:nth-child(an+b)`, which are part of the selector
+ * - other pseudo-classes and pseudo-elements at the end of the selector, e.g. `:active` or `::after`,
+ *   which are the state of the element the properties apply to, checked by `checkState`
+ *
+ * A selector ending with `:first-child` or `:last-child`, which the runtime matched before the
+ * structured selectors as the state of the selector without them, keeps that legacy form too, e.g.
+ * `.item:first-child:active` is also the key `.item` with the state `:first-child:active`.
+ */
+
+var IDENT = /^-?[A-Za-z_][\w-]*/
+var STRUCTURAL_PSEUDO_CLASSES = ['root', 'first-child', 'last-child', 'nth-child']
+// structural pseudo-classes of the state of the legacy form of a selector
+var LEGACY_PSEUDO_CLASSES = ['first-child', 'last-child']
+var ATTRIBUTE = /^\[\s*(-?[A-Za-z_][\w-]*)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|(-?[A-Za-z_][\w-]*|\d+))\s*)?\]/
+var NTH = /^\s*(odd|even|[+-]?\d*n(\s*[+-]\s*\d+)?|[+-]?\d+)\s*$/
+// pseudo-classes of the state of an element, with the components supporting them, `true` for all
+var STATE_PSEUDO_CLASSES = {
+  active: true,
+  focus: true,
+  disabled: true,
+  checked: ['input', 'switch'],
+  waiting: ['button']
+}
+var STATE_PSEUDO_ELEMENTS = ['after', 'before']
+
+/**
+ * Error of a part of a selector which is not supported
+ *
+ * @param {string} part
+ */
+function SelectorError(part) {
+  this.part = part
+}
+
+/**
+ * Parse a compound selector
+ *
+ * @param {string} selector
+ * @param {number} start offset of the compound
+ * @param {object} compound filled with its parts
+ * @return {number} offset after the compound
+ */
+function parseCompound(selector, start, compound) {
+  var i = start
+  var match
+  var rest = selector.slice(i)
+  if ((match = rest.match(IDENT)) || (match = rest.match(/^\*/))) {
+    compound.tag = match[0]
+    i += match[0].length
+  }
+  while (i < selector.length && !/[\s>+~]/.test(selector[i])) {
+    rest = selector.slice(i)
+    if ((rest[0] === '#' || rest[0] === '.') && (match = rest.slice(1).match(IDENT))) {
+      if (rest[0] === '#') {
+        if (compound.id) {
+          throw new SelectorError(rest.slice(0, match[0].length + 1))
+        }
+        compound.id = match[0]
+      } else {
+        compound.classes = (compound.classes || []).concat(match[0])
+      }
+      i += match[0].length + 1
+    } else if (rest[0] === '[') {
+      match = rest.match(ATTRIBUTE)
+      if (!match) {
+        throw new SelectorError(rest.slice(0, rest.indexOf(']') + 1 || rest.length))
+      }
+      var attribute = { name: match[1] }
+      if (match[2]) {
+        attribute.operator = match[2]
+        attribute.value = [match[3], match[4], match[5]].find(function (value) { return value !== undefined })
+      }
+      compound.attributes = (compound.attributes || []).concat(attribute)
+      i += match[0].length
+    } else if (rest[0] === ':') {
+      var element = rest[1] === ':'
+      match = rest.slice(element ? 2 : 1).match(IDENT)
+      if (!match) {
+        throw new SelectorError(rest.match(/^::?\S*/)[0])
+      }
+      var length = (element ? 2 : 1) + match[0].length
+      var pseudo = { name: match[0].toLowerCase(), element: element, start: i }
+      if (rest[length] === '(') {
+        var close = rest.indexOf(')', length)
+        pseudo.argument = rest.slice(length + 1, close === -1 ? rest.length : close).trim()
+        length = close === -1 ? rest.length : close + 1
+        if (pseudo.name !== 'nth-child' || !NTH.test(pseudo.argument)) {
+          throw new SelectorError(rest.slice(0, length))
+        }
+      }
+      compound.pseudos = (compound.pseudos || []).concat(pseudo)
+      i += length
+    } else {
+      throw new SelectorError(rest.match(/^[^\s>+~]+/)[0])
+    }
+  }
+  if (i === start) {
+    throw new SelectorError(selector.slice(start) || selector)
+  }
+  return i
+}
+
+/**
+ * Get the legacy form of a selector: the `:first-child` and `:last-child` starting the end of its
+ * last compound are part of its state, when it has no other structural pseudo-class and the selector
+ * without them is matched by its key
+ *
+ * @param {string} selector
+ * @param {array} compounds
+ * @return {object|undefined} the `key` and the `state` of the legacy form
+ */
+function getLegacyForm(selector, compounds) {
+  var last = compounds[compounds.length - 1]
+  var pseudos = last && last.pseudos || []
+  if (!pseudos.length || pseudos[0].element || LEGACY_PSEUDO_CLASSES.indexOf(pseudos[0].name) === -1) {
+    return
+  }
+  var legacy = pseudos.every(function (pseudo) {
+    return pseudo.element || STRUCTURAL_PSEUDO_CLASSES.indexOf(pseudo.name) === -1 ||
+      LEGACY_PSEUDO_CLASSES.indexOf(pseudo.name) !== -1
+  }) && !isStructured({ compounds: compounds.slice(0, -1).concat(Object.assign({}, last, { pseudos: undefined })) })
+  if (legacy) {
+    return { key: selector.slice(0, pseudos[0].start), state: selector.slice(pseudos[0].start) }
+  }
+}
+
+/**
+ * Parse a selector
+ *
+ * @param {string} selector
+ * @return {object}
+ * - key: the selector without the state of the element, the key of its properties in the style
+ * - state: the pseudo-classes and pseudo-element at the end, e.g. `:active`, added to the name of
+ *   each property
+ * - compounds: structured form of the key, each compound with its `combinator`, `tag`, `id`,
+ *   `classes`, `attributes` and `pseudos`
+ * - legacy: the `key` and `state` of the legacy form of the selector, if it has one
+ * - part: the part which is not supported, instead of the above
+ */
+function parse(selector) {
+  var compounds = []
+  var i = 0
+  var state
+  selector = selector.trim()
+  try {
+    while (i < selector.length) {
+      var compound = {}
+      if (compounds.length) {
+        var combinator = selector.slice(i).match(/^\s*([>+~])?\s*/)
+        compound.combinator = combinator[1] || ' '
+        i += combinator[0].length
+      }
+      i = parseCompound(selector, i, compound)
+      compounds.push(compound)
+    }
+    // the state of the element ends the selector, after the structural pseudo-classes
+    compounds.forEach(function (compound, index) {
+      (compound.pseudos || []).forEach(function (pseudo) {
+        var structural = !pseudo.element && STRUCTURAL_PSEUDO_CLASSES.indexOf(pseudo.name) !== -1
+        if (structural ? state !== undefined : index !== compounds.length - 1) {
+          throw new SelectorError(selector.slice(pseudo.start).match(/^::?[^\s>+~:]*(\([^)]*\))?/)[0])
+        }
+        if (!structural && state === undefined) {
+          state = pseudo.start
+        }
+      })
+    })
+  } catch (e) {
+    if (e instanceof SelectorError) {
+      return { part: e.part }
+    }
+    throw e
+  }
+  var legacy = getLegacyForm(selector, compounds)
+  var parsed = finish(selector, compounds, state)
+  if (legacy) {
+    parsed.legacy = legacy
+  }
+  return parsed
+}
+
+/**
+ * Build the result of `parse`
+ *
+ * @param {string} selector
+ * @param {array} compounds
+ * @param {number} state offset of the state of the element, if any
+ * @return {object}
+ */
+function finish(selector, compounds, state) {
+  compounds.forEach(function (compound) {
+    if (compound.pseudos) {
+      compound.pseudos = compound.pseudos.filter(function (pseudo) {
+        return pseudo.start < (state === undefined ? Infinity : state)
+      }).map(function (pseudo) {
+        return pseudo.argument === undefined ? { name: pseudo.name } : { name: pseudo.name, argument: pseudo.argument }
+      })
+      if (!compound.pseudos.length) {
+        delete compound.pseudos
+      }
+    }
+  })
+  return {
+    key: state === undefined ? selector : selector.slice(0, state),
+    state: state === undefined ? '' : selector.slice(state),
+    compounds: compounds
+  }
+}
+
+/**
+ * Whether a parsed selector needs its structured form to be matched by the runtime: the ones of
+ * a single compound of one tag, id or class, or of such compounds and descendant or child combinators,
+ * are matched by their key
+ *
+ * @param {object} parsed given by `parse`
+ * @return {boolean}
+ */
+function isStructured(parsed) {
+  return parsed.compounds.some(function (compound) {
+    var parts = (compound.tag ? 1 : 0) + (compound.id ? 1 : 0) + (compound.classes || []).length
+    return parts > 1 || compound.attributes || compound.pseudos ||
+      compound.combinator === '+' || compound.combinator === '~'
+  })
+}
+
+/**
+ * Check the pseudo-classes and the pseudo-element of the state of a parsed selector, the ones of the
+ * compound ending it against its tag, e.g. `:waiting` is only supported by `button`
+ *
+ * @param {object} parsed given by `parse`
+ * @param {object} position of the rule
+ * @return {object|undefined} the log of the first one which is not supported
+ */
+function checkState(parsed, position) {
+  var text = parsed.key + parsed.state
+  var tag = parsed.compounds[parsed.compounds.length - 1].tag
+  var reg = /(::?)(-?[A-Za-z_][\w-]*)/g
+  var match
+  while ((match = reg.exec(parsed.state))) {
+    var name = match[2].toLowerCase()
+    var element = match[1] === '::'
+    if (element ? STATE_PSEUDO_ELEMENTS.indexOf(name) === -1 : !STATE_PSEUDO_CLASSES.hasOwnProperty(name)) {
+      return messages.createLog('STYLE-PSEUDO-UNKNOWN', {
+        pseudo: match[0],
+        selector: text,
+        element: element,
+        supported: (element ? STATE_PSEUDO_ELEMENTS : Object.keys(STATE_PSEUDO_CLASSES)).map(function (item) {
+          return match[1] + item
+        })
+      }, position)
+    }
+    var components = !element && STATE_PSEUDO_CLASSES[name]
+    if (tag && tag !== '*' && Array.isArray(components) && components.indexOf(tag) === -1) {
+      return messages.createLog('STYLE-PSEUDO-COMPONENT', {
+        pseudo: match[0],
+        selector: text,
+        component: tag,
+        components: components
+      }, position)
+    }
+  }
+}
+
+/**
+ * Get the specificity of a parsed selector, without the state of the element
+ *
+ * @param {object} parsed given by `parse`
+ * @return {array} the numbers of ids, of classes, attributes and pseudo-classes, and of tags
+ */
+function specificity(parsed) {
+  return parsed.compounds.reduce(function (result, compound) {
+    return [
+      result[0] + (compound.id ? 1 : 0),
+      result[1] + (compound.classes || []).length + (compound.attributes || []).length +
+        (compound.pseudos || []).length,
+      result[2] + (compound.tag && compound.tag !== '*' ? 1 : 0)
+    ]
+  }, [0, 0, 0])
+}
+
+module.exports = {
+  parse: parse,
+  isStructured: isStructured,
+  checkState: checkState,
+  specificity: specificity
+}
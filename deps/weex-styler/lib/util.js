@@ -1,4 +1,5 @@
 const { DEVICE_LEVEL } = require('../../lite/lite-enum')
+const { resolveOptions } = require('../../options')
 
 /**
  * rules:
@@ -95,8 +96,48 @@ const LITE_SPLECIAL_ATTR = {
   BORDER_COLOR: 'borderColor'
 }
 
+/**
+ * Get an option of the styler, falling back to the option of weex-loader of the same name, read
+ * from its environment variable or its default, see `LOADER_OPTIONS` of `options.js`
+ *
+ * @param  {object} options
+ * @param  {string} name deviceLevel, watchCSSFiles or resolveModules
+ * @return {*}
+ */
+exports.getOption = function getOption(options, name) {
+  if (options && options[name] !== undefined) {
+    return options[name]
+  }
+  return resolveOptions({}, process.env).options[name]
+}
+
+/**
+ * Get the device level the styles are compiled for
+ *
+ * @param  {object} options
+ * @return {string} rich, lite or card
+ */
+exports.getDeviceLevel = function getDeviceLevel(options) {
+  return exports.getOption(options, 'deviceLevel') || DEVICE_LEVEL.RICH
+}
+
 /**
  * Special style attributes that need to be expanded
  *
+ * @param  {object} options
+ * @return {object}
+ */
+exports.getSpecialAttr = function getSpecialAttr(options) {
+  return exports.getDeviceLevel(options) === DEVICE_LEVEL.LITE ? LITE_SPLECIAL_ATTR : RICH_SPLECIAL_ATTR
+}
+
+/**
+ * Special style attributes that need to be expanded, for the device level of the environment
+ *
  */
-exports.SPLECIAL_ATTR = process.env.DEVICE_LEVEL === DEVICE_LEVEL.LITE ? LITE_SPLECIAL_ATTR : RICH_SPLECIAL_ATTR
+Object.defineProperty(exports, 'SPLECIAL_ATTR', {
+  enumerable: true,
+  get: function () {
+    return exports.getSpecialAttr()
+  }
+})
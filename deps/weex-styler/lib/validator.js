@@ -1,5 +1,8 @@
 
 var util = require('./util')
+var messages = require('./messages')
+var variables = require('./variables')
+var calc = require('./calc')
 var OHOS_THEME_PROP_GROUPS = require('../../theme/ohosStyles');
 
 // http://www.w3.org/TR/css3-color/#html4
@@ -202,7 +205,10 @@ var TRANSFORM_ITEM_REGEXP = /^([0-9a-zA-Z]+)\s*\((.*)\)$/
 var FILTER_REGEXP = /^blur\(([1-9]\d*|0)(px|fp|vp)\)$/
 var FILTER_PERCENTAGE_REGEXP = /^blur\(([1-9]?\d|100)%\)$/
 var FILTER_STYLE_REGEXP = /^blur\(([1-9]?\d|100)%\)\s+[A-Za-z_]+$/
-var SUPPORT_CSS_EXPRESSION = /calc\(|var\(\-\-/
+// spaces between the parts of a shorthand value, not around the operators and the commas
+var SHORTHAND_SPLIT_REGEXP = /(?<!\+|\-|\*|\/|\,)\s+(?!\+|\-|\*|\/|\,)/
+var VAR_PART_REGEXP = /^var\(\s*--[\w-]+\s*(,.*)?\)$/
+var SUPPORT_CSS_EXPRESSION = /\b(calc|min|max|clamp|env)\(|var\(\-\-/
 var SUPPORT_VAR_EXPRESSION = /var\(\-\-/
 var SUPPORT_CSS_UNIT = ['px', 'pt', 'wx', 'vp', 'fp']
 var SUPPORT_CSS_TIME_UNIT = ['ms', 's']
@@ -293,20 +299,14 @@ var LENGTH = function LENGTH(v, SUPPORT_UNIT) {
       return v === '0' ? { value: parseFloat(v) + SUPPORT_UNIT[0] } :
         {
           value: parseFloat(v) + SUPPORT_UNIT[0],
-          reason: function(k, v) {
-            return 'WARNING: No unit is specified for the `' + util.camelCaseToHyphened(k) +
-              '` attribute. The default unit is ' + SUPPORT_UNIT[0]
-          }
+          reason: messages.reason('STYLE-UNIT-MISSING', { unit: SUPPORT_UNIT[0] })
         }
     } else if (SUPPORT_UNIT.indexOf(unit) > -1) {
       return { value: v }
     } else {
       return {
         value: parseFloat(v) + SUPPORT_UNIT[0],
-        reason: function reason(k, v, result) {
-          return 'ERROR: The `' + k + '` attribute does not support `' + unit +
-            '`. The default unit is ' + SUPPORT_UNIT[0]
-        }
+        reason: messages.reason('STYLE-UNIT-UNSUPPORTED', { unit: unit, defaultUnit: SUPPORT_UNIT[0] })
       }
     }
   }
@@ -344,10 +344,7 @@ var LENGTH = function LENGTH(v, SUPPORT_UNIT) {
 
   return {
     value: null,
-    reason: function reason(k, v, result) {
-      return 'ERROR: The `' + util.camelCaseToHyphened(k) + '` attribute does not support the `' +
-        v + '` value (only numbers are supported).'
-    }
+    reason: messages.reason('STYLE-VALUE-NOT-NUMBER')
   }
 }
 
@@ -502,18 +499,14 @@ var COLOR_VALIDATOR = function COLOR_VALIDATOR(v) {
   if (v.match(/^#[0-9a-fA-F]{3}$/)) {
     return {
       value: '#' + v[1] + v[1] + v[2] + v[2] + v[3] + v[3],
-      reason: function reason(k, v, result) {
-        return 'NOTE: Attribute value `' + v + '` is automatically fixed to `' + result + '`.'
-      }
+      reason: messages.reason('STYLE-VALUE-AUTOFIXED')
     }
   }
 
   if (EXTENDED_COLOR_KEYWORDS[v]) {
     return {
       value: EXTENDED_COLOR_KEYWORDS[v],
-      reason: function reason(k, v, result) {
-        return 'NOTE: Attribute value `' + v + '` is automatically fixed to `' + result + '`.'
-      }
+      reason: messages.reason('STYLE-VALUE-AUTOFIXED')
     }
   }
 
@@ -528,9 +521,7 @@ var COLOR_VALIDATOR = function COLOR_VALIDATOR(v) {
 
   return {
     value: null,
-    reason: function reason(k, v, result) {
-      return 'ERROR: Value `' + v + '` is invalid for the `' + util.camelCaseToHyphened(k) + '` attribute.'
-    }
+    reason: messages.reason('STYLE-COLOR-INVALID')
   }
 }
 
@@ -612,10 +603,9 @@ var STYLE_VALIDATOR = function STYLE_VALIDATOR(v) {
   } else {
     return {
       value: null,
-      reason: function (k,v) {
-        return 'ERROR: The `' + util.camelCaseToHyphened(k) + '` attribute does not support value `' +
-          v + '` (the support value is `' + styleList.join('`|`') + '`).'
-      }
+      reason: messages.reason('STYLE-VALUE-UNSUPPORTED', {
+        detail: 'the support value is `' + styleList.join('`|`') + '`'
+      })
     }
   }
 }
@@ -647,13 +637,7 @@ var SHORTHAND_VALIDATOR = function SHORTHAND_VALIDATOR(v, validateFunction, isAr
   else {
     return {
       value: isArray ? value.join(',') : value.join(' '),
-      reason: reason.length > 0 ? function (k, v, result) {
-        return reason.map(function (res) {
-          if (typeof res === 'function') {
-            return res(k, v, result)
-          }
-        }).join('\n')
-      } : null
+      reason: reason.length > 0 ? messages.combine(reason) : null
     }
   }
 }
@@ -735,22 +719,19 @@ var BORDER_VALIDATOR = function BORDER_VALIDATOR (value, name) {
     if (!hasError) {
       return {
         value: res,
-        reason: reasons.length > 0 ? function (k, v) {
-          return (
-            logTypes[index] + ': There are some problems with value `' + v + '` of the `' +
-              util.camelCaseToHyphened(k) + '` attribute. \n ' + reasons.join(' \n'))
-        } : null
+        reason: reasons.length > 0 ? messages.reason('STYLE-VALUE-PROBLEMS', {
+          severity: logTypes[index],
+          detail: reasons.join(' \n')
+        }) : null
       }
     }
   }
   // print error
   return {
     value: null,
-    reason: function reason (k, v, result) {
-      return 'ERROR: The `' + util.camelCaseToHyphened(k) +
-        '` attribute does not support value `' + v +
-        '` (this value does not meet the inspection standards for the width, style, and color).'
-    }
+    reason: messages.reason('STYLE-VALUE-UNSUPPORTED', {
+      detail: 'this value does not meet the inspection standards for the width, style, and color'
+    })
   }
 }
 
@@ -857,21 +838,18 @@ var BOX_SHADOW_VALIDATOR = function BOX_SHADOW_VALIDATOR(value, name) {
     if (!hasError) {
       return {
         value: res,
-        reason: reasons.length > 0 ? function (k, v) {
-          return (
-            logTypes[index] + ': There are some problems with value `' + v +
-              '` of the `' + util.camelCaseToHyphened(k) + '` attribute. \n ' + reasons.join(' \n'))
-        } : null
+        reason: reasons.length > 0 ? messages.reason('STYLE-VALUE-PROBLEMS', {
+          severity: logTypes[index],
+          detail: reasons.join(' \n')
+        }) : null
       }
     }
   }
   return {
     value: null,
-    reason: function reason (k, v, result) {
-      return 'ERROR: The `' + util.camelCaseToHyphened(k) +
-        '` attribute does not support value `' + v +
-        '` (this value does not meet the inspection standards).'
-    }
+    reason: messages.reason('STYLE-VALUE-UNSUPPORTED', {
+      detail: 'this value does not meet the inspection standards'
+    })
   }
 }
 
@@ -929,10 +907,7 @@ var NUMBER_VALIDATOR = function NUMBER_VALIDATOR(v, isInt) {
 
   return {
     value: null,
-    reason: function reason(k, v, result) {
-      return 'ERROR: The `' + util.camelCaseToHyphened(k) +
-        '` attribute does not support value `' + v + '` (only numbers are supported).'
-    }
+    reason: messages.reason('STYLE-VALUE-UNSUPPORTED', { detail: 'only numbers are supported' })
   }
 }
 
@@ -966,16 +941,14 @@ var TRANSITION_PROPERTY_VALIDATOR = function TRANSITION_PROPERTY_VALIDATOR(v) {
   v = (v || '').toString()
   v = v.split(/\s*,\s*/).map(util.hyphenedToCamelCase).join(',')
 
-  if (v.split(/\s*,\s*/).every(p => !!validatorMap[p])) {
+  // only the rich devices support transitions
+  if (v.split(/\s*,\s*/).every(p => !!getValidatorMap('rich')[p])) {
     return {value: v}
   }
 
   return {
     value: null,
-    reason: function reason(k, v, result) {
-      return 'ERROR: The `' + util.camelCaseToHyphened(k) + '` attribute does not support value `' +
-        v + '` (only CSS attributes support this value).'
-    }
+    reason: messages.reason('STYLE-VALUE-UNSUPPORTED', { detail: 'only CSS attributes support this value' })
   }
 }
 
@@ -1002,9 +975,7 @@ var TRANSITION_INTERVAL_VALIDATOR = function TRANSITION_INTERVAL_VALIDATOR(v) {
       }
       ret = {
         value: parseInt(num),
-        reason: function reason(k, v, result) {
-          return 'NOTE: Attribute value `' + v + '` is automatically fixed to `' + result + '`.'
-        }
+        reason: messages.reason('STYLE-VALUE-AUTOFIXED')
       }
     }
     return ret
@@ -1012,10 +983,7 @@ var TRANSITION_INTERVAL_VALIDATOR = function TRANSITION_INTERVAL_VALIDATOR(v) {
 
   return {
     value: null,
-    reason: function reason(k, v, result) {
-      return 'ERROR: The `' + util.camelCaseToHyphened(k) + '` attribute does not support value `' +
-        v + '` (only seconds and milliseconds are supported).'
-    }
+    reason: messages.reason('STYLE-VALUE-UNSUPPORTED', { detail: 'only seconds and milliseconds are supported' })
   }
 }
 
@@ -1061,11 +1029,10 @@ var TRANSITION_TIMING_FUNCTION_VALIDATOR = function TRANSITION_TIMING_FUNCTION_V
 
   return {
     value: null,
-    reason: function reason(k, v, result) {
-      return 'ERROR: The `' + util.camelCaseToHyphened(k) + '` attribute does not support value `' + v +
-             '` (supported values include `linear`, `ease`, `ease-in`, `ease-out`, `ease-in-out`,' +
-             ' `cubic-bezier(n,n,n,n)` and `steps(n[, start|end])`).'
-    }
+    reason: messages.reason('STYLE-VALUE-UNSUPPORTED', {
+      detail: 'supported values include `linear`, `ease`, `ease-in`, `ease-out`, `ease-in-out`,' +
+        ' `cubic-bezier(n,n,n,n)` and `steps(n[, start|end])`'
+    })
   }
 }
 
@@ -1149,9 +1116,7 @@ var ANIMATION_VALIDATOR = function ANIMATION_VALIDATOR(v) {
     } else {
         return {
             value: null,
-            reason: function reason(k, v, result) {
-                return 'ERROR: animation is invalid'
-            }
+            reason: messages.reason('STYLE-ANIMATION-INVALID')
         }
     }
 }
@@ -1173,9 +1138,7 @@ var TRANSFORM_VALIDATOR = function TRANSFORM_VALIDATOR(v) {
   if (!values.length) {
     return {
       value: null,
-      reason: function reason(k, v) {
-        return 'ERROR: The `' + util.camelCaseToHyphened(k) + '` attribute does not support value `' + v + '`.'
-      }
+      reason: messages.reason('STYLE-VALUE-UNSUPPORTED')
     }
   }
   let result = {}
@@ -1213,10 +1176,10 @@ var TRANSFORM_VALIDATOR = function TRANSFORM_VALIDATOR(v) {
   return {
     value: result ? JSON.stringify(result) : null,
     reason: reasonMaps.length > 0 ?
-      function(k, v) {
-        return logTypes[allLength] + ': Value `' + v + '` of the `' +
-          util.camelCaseToHyphened(k) + '` attribute is incorrect. \n ' + reasonMaps.join(' \n ')
-      } : null
+      messages.reason('STYLE-VALUE-INCORRECT', {
+        severity: logTypes[allLength],
+        detail: ' \n ' + reasonMaps.join(' \n ')
+      }) : null
   }
 }
 
@@ -1267,10 +1230,10 @@ var ROTATE3D_VALIDATOR = function ROTATE3D_VALIDATOR(v) {
     return {
       value: length < 2 ? resultValues.join(' ') : null,
       reason: reasonMaps.length > 0 ?
-        function (k, v) {
-          return logTypes[length] + ': Value `' + v + '` of the `' + util.camelCaseToHyphened(k) +
-            '` attribute is incorrect. \n ' + reasonMaps.join(' \n ')
-        } : null
+        messages.reason('STYLE-VALUE-INCORRECT', {
+          severity: logTypes[length],
+          detail: ' \n ' + reasonMaps.join(' \n ')
+        }) : null
     }
   }
 }
@@ -1301,10 +1264,10 @@ var MULTIPLE_POSITION_VALIDATOR = function MULTIPLE_POSITION_VALIDATOR(v, valida
     return {
       value: length < 2 ? resultValues.join(' ') : null,
       reason: reasonMaps.length > 0 ?
-        function (k, v) {
-          return logTypes[length] + ': Value `' + v + '` of the `' + util.camelCaseToHyphened(k) +
-            '` attribute is incorrect. \n ' + reasonMaps.join(' \n ')
-        } : null
+        messages.reason('STYLE-VALUE-INCORRECT', {
+          severity: logTypes[length],
+          detail: ' \n ' + reasonMaps.join(' \n ')
+        }) : null
     }
   }
 }
@@ -1334,19 +1297,15 @@ function genEnumValidator(list) {
       return {
         value: v,
         reason: name !== 'objectFit' ?
-          function reason(k, v, result) {
-            return 'NOTE: Value `' + v + '` is the default value of the `' + util.camelCaseToHyphened(k) +
-              '` attribute (the value can be removed).'
-          } : null
+          messages.reason('STYLE-VALUE-DEFAULT') : null
       }
     }
     else {
       return {
         value: null,
-        reason: function reason(k, v, result) {
-          return 'ERROR: The `' + util.camelCaseToHyphened(k) + '` attribute does not support value `' + v +
-            '` (the supported value is `' + list.join('`|`') + '`).'
-        }
+        reason: messages.reason('STYLE-VALUE-UNSUPPORTED', {
+          detail: 'the supported value is `' + list.join('`|`') + '`'
+        })
       }
     }
   }
@@ -1395,19 +1354,16 @@ var BACKGROUND_VALIDATOR = function BACKGROUND_VALIDATOR(v) {
       return {
         value: length < 2 ? JSON.stringify(resultValues) : null,
         reason: reasonMaps.length > 0 ?
-          function (k, v) {
-            return logTypes[length] + ': Value `' + v + '` of the `' + util.camelCaseToHyphened(k) +
-              '` attribute is incorrect. \n ' + reasonMaps.join(' \n ')
-          } : null
+          messages.reason('STYLE-VALUE-INCORRECT', {
+            severity: logTypes[length],
+            detail: ' \n ' + reasonMaps.join(' \n ')
+          }) : null
       }
     }
   }
   return {
     value: null,
-    reason: function (k, v) {
-      return 'ERROR: The format of value `' + v + '` of the `' + util.camelCaseToHyphened(k) +
-        '` attribute is incorrect.'
-    }
+    reason: messages.reason('STYLE-VALUE-FORMAT')
   }
 }
 
@@ -1464,18 +1420,15 @@ var LINEAR_GRADIENT_VALIDATOR = function LINEAR_GRADIENT_VALIDATOR(v) {
     return {
       value: length < 2 ? JSON.stringify(result) : null,
       reason: reasonMaps.length > 0 ?
-        function (k, v) {
-          return logTypes[length] + ': Value `' + v + '` of the `' + util.camelCaseToHyphened(k) +
-            '` attribute is incorrect. \n  ' + reasonMaps.join('\n  ')
-        }: null
+        messages.reason('STYLE-VALUE-INCORRECT', {
+          severity: logTypes[length],
+          detail: ' \n  ' + reasonMaps.join('\n  ')
+        }) : null
     }
   }
   return {
     value: null,
-    reason: function (k, v) {
-      return 'ERROR: The format of value `' + v + '` of the `' + util.camelCaseToHyphened(k) +
-        '` attribute is incorrect.'
-    }
+    reason: messages.reason('STYLE-VALUE-FORMAT')
   }
 }
 
@@ -1490,18 +1443,15 @@ var ARRAY_COLOR_STOP_VALIDATOR = function ARRAY_COLOR_STOP_VALIDATOR(v) {
     return {
       value: length < 2 ? JSON.stringify(resultValues) : null,
       reason: reasonMaps.length > 0 ?
-        function (k, v) {
-          return logTypes[length] + ': Value `' + v + '` of the `' +
-            util.camelCaseToHyphened(k) + '` attribute is incorrect. \n  ' + reasonMaps.join('\n  ')
-        } : null
+        messages.reason('STYLE-VALUE-INCORRECT', {
+          severity: logTypes[length],
+          detail: ' \n  ' + reasonMaps.join('\n  ')
+        }) : null
     }
   }
   return {
     value: null,
-    reason: function (k, v) {
-      return 'ERROR: The format of value `' + v + '` of the `'+ util.camelCaseToHyphened(k) +
-        '` attribute is incorrect. Please specify at least two colors.'
-    }
+    reason: messages.reason('STYLE-VALUE-FORMAT', { detail: '. Please specify at least two colors.' })
   }
 }
 
@@ -1579,31 +1529,20 @@ var ANGLE_VALIDATOR = function ANGLE_VALIDATOR(v) {
         } else {
           return {
             value: angle + SUPPORT_CSS_ANGLE_UNIT[0],
-            reason: function(k, v) {
-              return 'ERROR: The `' + util.camelCaseToHyphened(k) +
-                '` attribute does not support `' + unit + '`. It only supports `' +
-                JSON.stringify(SUPPORT_CSS_ANGLE_UNIT) + '`.'
-            }
+            reason: messages.reason('STYLE-ANGLE-UNIT-UNSUPPORTED', { unit: unit, units: SUPPORT_CSS_ANGLE_UNIT })
           }
         }
       }
     } else {
       return {
         value: parseFloat(v) + SUPPORT_CSS_ANGLE_UNIT[0],
-        reason: function(k, v) {
-          return 'WARNING: No unit is specified for the value `' + v +
-            '` of the `' + util.camelCaseToHyphened(k) + '` attribute. The default unit is `' +
-            SUPPORT_CSS_ANGLE_UNIT[0] + '`.'
-        }
+        reason: messages.reason('STYLE-ANGLE-UNIT-MISSING', { unit: SUPPORT_CSS_ANGLE_UNIT[0] })
       }
     }
   }
   return {
     value: null,
-    reason: function(k, v) {
-      return 'ERROR: The `' + util.camelCaseToHyphened(k) + '` attribute does not support value `'
-        + v + '` (only numbers are supported).'
-    }
+    reason: messages.reason('STYLE-VALUE-UNSUPPORTED', { detail: 'only numbers are supported' })
   }
 }
 
@@ -1637,14 +1576,18 @@ var GRADIENT_DIRECTION_VALIDATOR = function GRADIENT_DIRECTION_VALIDATOR(v) {
   return {
     value: invalid ? null : v,
     reason: invalid ?
-      function (k, v) {
-        return 'ERROR: The format of value `' + v + '` of the `' + util.camelCaseToHyphened(k) +
-          '` attribute is incorrect.'
-      } : null
+      messages.reason('STYLE-VALUE-FORMAT') : null
   }
 }
 
-var URL_VALIDATOR = function URL_VALIDATOR(v) {
+/**
+ * validate a `url(...)` value or a media resource reference
+ *
+ * @param  {string} v
+ * @param  {boolean} keepUrl keep the whole `url(...)`, as lite devices do
+ * @return {object}
+ */
+function validateUrl(v, keepUrl) {
   v = (v || "").toString().trim()
   if (v.match(/^none$/i)) {
     return { value: "none" }
@@ -1673,7 +1616,7 @@ var URL_VALIDATOR = function URL_VALIDATOR(v) {
 
   let matchValues = URL_REGEXP.exec(v)
   if (matchValues) {
-    if(isLiteDevice){
+    if(keepUrl){
       return { value: matchValues[0] }
     }else{
       if (matchValues[1].match(/^\.\.\/|^\.\//)) {
@@ -1690,14 +1633,19 @@ var URL_VALIDATOR = function URL_VALIDATOR(v) {
   else {
     return {
       value: null,
-      reason: function (k, v) {
-          return 'ERROR: Value `' + v + '` of the `' + util.camelCaseToHyphened(k) +
-            '` attribute must be none or url(...).'
-      }
+      reason: messages.reason('STYLE-IMAGE-INVALID')
     }
   }
 }
 
+var URL_VALIDATOR = function URL_VALIDATOR(v) {
+  return validateUrl(v, false)
+}
+
+var LITE_URL_VALIDATOR = function LITE_URL_VALIDATOR(v) {
+  return validateUrl(v, true)
+}
+
 var NAME_VALIDATOR = function NAME_VALIDATOR(v) {
   v = (v || "").toString().trim()
   if (v.match(NAME_REGEXP)) {
@@ -1705,10 +1653,7 @@ var NAME_VALIDATOR = function NAME_VALIDATOR(v) {
   } else {
     return {
       value: null,
-      reason: function(k, v) {
-        return 'ERROR: The format of value `' + v + '` of the `' +  util.camelCaseToHyphened(k) +
-          '` attribute is incorrect.'
-      }
+      reason: messages.reason('STYLE-VALUE-FORMAT')
     }
   }
 }
@@ -1724,10 +1669,7 @@ var ITERATIONCOUNT_VALIDATOR = function ITERATIONCOUNT_VALIDATOR(v) {
   } else {
     return {
       value: null,
-      reason: function(k, v) {
-          return 'ERROR: The format of value `' + v + '` of the `' +  util.camelCaseToHyphened(k) +
-            '` attribute is incorrect (only integers and infinity are supported).'
-      }
+      reason: messages.reason('STYLE-VALUE-FORMAT', { detail: ' (only integers and infinity are supported).' })
     }
   }
 }
@@ -1748,9 +1690,7 @@ var BACKGROUND_SIZE_VALIDATOR = function BACKGROUND_SIZE_VALIDATOR(v) {
   }
   return {
     value: null,
-    reason: function(k, v) {
-      return 'ERROR: Value `' + v + '` of the `' +  util.camelCaseToHyphened(k) + '` attribute is incorrect.'
-    }
+    reason: messages.reason('STYLE-VALUE-INCORRECT')
   }
 }
 
@@ -1774,9 +1714,7 @@ var BACKGROUND_POSITION_VALIDATOR = function BACKGROUND_POSITION_VALIDATOR(v) {
   }
   return {
     value: null,
-    reason: function(k, v) {
-      return 'ERROR: Value `' + v + '` of the `' +  util.camelCaseToHyphened(k) + '` attribute is incorrect.'
-    }
+    reason: messages.reason('STYLE-VALUE-INCORRECT')
   }
 }
 
@@ -1807,20 +1745,11 @@ var CHECK_BACKGROUND_POSITION = function CHECK_BACKGROUND_POSITION(v) {
     }
   })
   if (directions.length === 2 && directions[0] === directions[1]) {
-    reasons.push(function(k, v) {
-      return 'ERROR: Value `' + v + '` of the `' + util.camelCaseToHyphened(k) + '` attribute is incorrect.'
-    })
+    reasons.push(messages.reason('STYLE-VALUE-INCORRECT'))
   }
   return {
     value: result.length > 0 ? result.join(' ') : null,
-    reason: reasons.length > 0 ?
-      function(k, v) {
-        return reasons.map(function(res) {
-          if (typeof res === 'function') {
-            return res(k, v)
-          }
-        }).join('\n')
-      }: null
+    reason: reasons.length > 0 ? messages.combine(reasons) : null
   }
 }
 
@@ -1875,13 +1804,9 @@ var MYLOCATION_VALIDATOR = function MYLOCATION_VALIDATOR(v) {
     if (reason) {
       return {
         value : null,
-        reason: function(k, v) {
-          return reason == 'value' ?
-            'ERROR: Value `' + v + '` of the `' + util.camelCaseToHyphened(k) +
-            '` attribute does not meet the inspection standards for the color or url.' :
-            'ERROR: Value `' + v + '` of the `' + util.camelCaseToHyphened(k) +
-            '` attribute must be set in order(color color url).'
-        }
+        reason: reason == 'value' ?
+          messages.reason('STYLE-VALUE-NOT-COLOR-OR-URL') :
+          messages.reason('STYLE-VALUE-ORDER', { order: 'color color url' })
       }
     }
     return {
@@ -1890,9 +1815,7 @@ var MYLOCATION_VALIDATOR = function MYLOCATION_VALIDATOR(v) {
   }
   return {
     value: null,
-    reason: function(k, v) {
-      return 'ERROR: Value `' + v + '` of the `' + util.camelCaseToHyphened(k) + '` attribute is invalid.'
-    }
+    reason: messages.reason('STYLE-VALUE-INVALID')
   }
 }
 
@@ -1916,10 +1839,7 @@ var TRANSFORM_ORIGIN_VALIDATOR = function TRANSFORM_ORIGIN_VALIDATOR(v) {
   }
   return {
     value: null,
-    reason: function (k, v) {
-      return 'ERROR: Value `' + v + '` of the `' + util.camelCaseToHyphened(k) +
-        '` attribute is invalid. such as left 100px or 50% bottom.'
-    }
+    reason: messages.reason('STYLE-VALUE-INVALID', { detail: ' such as left 100px or 50% bottom.' })
   }
 }
 
@@ -1948,20 +1868,11 @@ var CHECK_TRANSFORM_ORIGIN = function CHECK_TRANSFORM_ORIGIN(values) {
   })
   if (directions.length != 2 || directions.length === 2 &&
     (directions[0] === 'vertical' || directions[1] === 'horizon')) {
-    reasons.push(function (k, v) {
-      return 'ERROR: Value `' + v + '` of the `' + util.camelCaseToHyphened(k) + '` attribute is incorrect.'
-    })
+    reasons.push(messages.reason('STYLE-VALUE-INCORRECT'))
   }
   return {
     value: result.length > 0 ? result.join(' ') : null,
-    reason: reasons.length > 0 ?
-      function (k, v) {
-        return reasons.map(function (res) {
-          if (typeof res === 'function') {
-            return res(k, v)
-          }
-        }).join('\n')
-      } : null
+    reason: reasons.length > 0 ? messages.combine(reasons) : null
   }
 }
 
@@ -1995,9 +1906,7 @@ var GRID_TEMPLATE_VALIDATOR = function GRID_TEMPLATE_VALIDATOR(v) {
       else {
         return {
           value: null,
-          reason: function reason(k, v, result) {
-            return 'ERROR: The `' + util.camelCaseToHyphened(k) + '` attribute does not support value `' + v + '`.'
-          }
+          reason: messages.reason('STYLE-VALUE-UNSUPPORTED')
         }
       }
     }
@@ -2027,13 +1936,7 @@ var GRID_TEMPLATE_VALIDATOR = function GRID_TEMPLATE_VALIDATOR(v) {
     } else {
       return {
         value: value.join(' '),
-        reason: reason.length > 0 ? function(k, v, result) {
-          return reason.map(function (res) {
-            if (typeof res === 'function') {
-              return res(k, v, result)
-            }
-          }).join('\n')
-        } : null
+        reason: reason.length > 0 ? messages.combine(reason) : null
       }
     }
   }
@@ -2046,10 +1949,7 @@ var DATE_VALIDATOR = function DATE_VALIDATOR(v) {
   } else {
     return {
       value: null,
-      reason:function (k, v, result) {
-        return 'ERROR: The format of value `' + v + '` of the `' +
-          util.camelCaseToHyphened(k) + '` attribute is incorrect.'
-      }
+      reason: messages.reason('STYLE-VALUE-FORMAT')
     }
   }
 }
@@ -2061,10 +1961,7 @@ var FILTER_VALIDATOR = function FILTER_VALIDATOR(v) {
   } else {
     return {
       value: null,
-      reason:function (k, v, result) {
-        return 'ERROR: The format of value `' + v + '` of the `' +
-          util.camelCaseToHyphened(k) + '` attribute is incorrect.'
-      }
+      reason: messages.reason('STYLE-VALUE-FORMAT')
     }
   }
 }
@@ -2091,18 +1988,13 @@ var FILTER_PERCENTAGE_VALIDATOR = function FILTER_PERCENTAGE_VALIDATOR(v) {
       }
       return {
         value: check.length < 2 ? JSON.stringify(blurStyleResult.value) : null,
-        reason: function(k, v) {
-          return 'ERROR: ' + reasonMaps
-        }
+        reason: messages.reason('STYLE-BLUR-STYLE-INVALID', { detail: reasonMaps.join(',') })
       }
     }
   }
   return {
     value: null,
-    reason:function (k, v, result) {
-      return 'ERROR: The format of value `' + v + '` of the `' + util.camelCaseToHyphened(k) +
-        '` attribute is incorrect.'
-    }
+    reason: messages.reason('STYLE-VALUE-FORMAT')
   }
 }
 
@@ -2208,10 +2100,7 @@ var BORDER_IMAGE_GRADIENT_VALIDATOR = function BORDER_IMAGE_GRADIENT_VALIDATOR(v
   }
   return {
     value: null,
-    reason: function(k, v) {
-      return 'ERROR: The format of value `' + v + '` of the `' + util.camelCaseToHyphened(k)
-        + '` attribute is incorrect.'
-    }
+    reason: messages.reason('STYLE-VALUE-FORMAT')
   }
 }
 
@@ -2835,7 +2724,7 @@ var LITE_PROP_NAME_GROUPS = {
   common: {
     opacity: NUMBER_VALIDATOR,
     backgroundColor: COLOR_VAR_VALIDATOR,
-    backgroundImage: URL_VALIDATOR,
+    backgroundImage: LITE_URL_VALIDATOR,
     placeholderColor: COLOR_VAR_VALIDATOR,
     display: genEnumValidator(['flex', 'none']),
   },
@@ -3071,271 +2960,230 @@ var transformValidatorMap = {
 
 var SUGGESTED_PROP_NAME_GROUP = {}
 
-var validatorMap = {}
+var DEVICE_PROP_NAME_GROUPS = {
+  rich: RICH_PROP_NAME_GROUPS,
+  lite: LITE_PROP_NAME_GROUPS,
+  card: CARD_PROP_NAME_GROUPS
+}
 
-const card = process.env.DEVICE_LEVEL === 'card'
-var isLiteDevice = process.env.DEVICE_LEVEL === 'lite'
+// device level -> validatorMap
+var validatorMaps = {}
 
-var PROP_NAME_GROUPS = process.env.DEVICE_LEVEL === 'lite' ? LITE_PROP_NAME_GROUPS :
-  card ? CARD_PROP_NAME_GROUPS : RICH_PROP_NAME_GROUPS
+/**
+ * get the property groups of a device level
+ *
+ * @param  {string} deviceLevel rich, lite or card
+ * @return {object}
+ */
+function getPropNameGroups(deviceLevel) {
+  return DEVICE_PROP_NAME_GROUPS[deviceLevel] || RICH_PROP_NAME_GROUPS
+}
 
 /**
- * flatten `PROP_NAME_GROUPS` to `validatorMap`
+ * flatten the property groups of a device level to a `validatorMap`
+ *
+ * @param  {string} deviceLevel rich, lite or card
+ * @return {object} validators keyed by property name
  */
-function genValidatorMap() {
+function getValidatorMap(deviceLevel) {
   var groupName, group, name
-  for (groupName in PROP_NAME_GROUPS) {
-    group = PROP_NAME_GROUPS[groupName]
-    for (name in group) {
-      validatorMap[name] = group[name]
+  var PROP_NAME_GROUPS = getPropNameGroups(deviceLevel)
+  var validatorMap = validatorMaps[deviceLevel]
+  if (!validatorMap) {
+    validatorMap = {}
+    for (groupName in PROP_NAME_GROUPS) {
+      group = PROP_NAME_GROUPS[groupName]
+      for (name in group) {
+        validatorMap[name] = group[name]
+      }
     }
+    validatorMaps[deviceLevel] = validatorMap
   }
+  return validatorMap
 }
 
-genValidatorMap()
-
-function getValueUnit(dem) {
-  var str = dem.toString()
-  var getValue = str.match(/[-]{0,1}[1-9][0-9]*/)
-  var getUnit = str.match(/px|cm|%|em|vp|fp/)
-  var result = {value: getValue, unit: getUnit}
-  return result
-}
-
-function isOperator(value) {
-  var operatorString = "+-*/()"
-  return operatorString.indexOf(value) > -1
-}
-
-function getPrioraty(value) {
-  switch(value) {
-    case '+':
-    case '-':
-      return 1
-    case '*':
-    case '/':
-      return 2
-    default:
-      return 0
+/**
+ * Get the edit distance of two names
+ *
+ * @param  {string} a
+ * @param  {string} b
+ * @return {number}
+ */
+function getDistance(a, b) {
+  var row = []
+  var i, j
+  for (j = 0; j <= b.length; j++) {
+    row.push(j)
   }
-}
-
-function prioraty(o1, o2) {
-  return getPrioraty(o1) <= getPrioraty(o2)
-}
-
-function dal2Rpn(exp) {
-  var inputStack = []
-  var outputStack = []
-  var outputQueue = []
-  var str =
-    exp.replace(/calc/g, "").replace(/(?<!var\(\-\-\w+|var\(\-\-\w+\,\s*\w+)\)/g, " )").replace(/(?<!var)\(/g, "( ")
-  var inputStack=str.split(/(?<!\,)\s+/)
-  var value, log
-  while(inputStack.length > 0) {
-    var cur = inputStack.shift()
-    if(isOperator(cur)) {
-      if(cur == '(') {
-        outputStack.push(cur)
-      } else if(cur == ')') {
-        var po = outputStack.pop()
-        while(po != '(' && outputStack.length > 0) {
-          outputQueue.push(po)
-          po = outputStack.pop()
-        }
-        if(po != '(') {
-          log = {reason: 'ERROR: Expression unmatched ()'}
-        }
-      } else {
-        while(prioraty(cur, outputStack[outputStack.length - 1]) && outputStack.length > 0) {
-          outputQueue.push(outputStack.pop())
-        }
-        outputStack.push(cur)
-      }
-    } else {
-      outputQueue.push(cur)
+  for (i = 1; i <= a.length; i++) {
+    var previous = row[0]
+    row[0] = i
+    for (j = 1; j <= b.length; j++) {
+      var current = row[j]
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1))
+      previous = current
     }
   }
-  return {
-    value: outputQueue,
-    log: log
-  }
+  return row[b.length]
 }
 
-function checkComputation(left, right, operator) {
-  var value, log
-  if (operator == '*') {
-    if ((right.match(/[a-zA-Z]/) && left.match(/[a-zA-Z]/)) || (!right.match(/[a-zA-Z]/) && !left.match(/[a-zA-Z]/))) {
-      log = {reason: 'ERROR: The multiplier must contain and contain only one integer'}
-    }
-  }
-  if (operator == '/') {
-    if (right.match(/[a-zA-Z]|(?<![1-9])[0]/)) {
-      log = {reason: 'ERROR: Divisor must be an integer and cannot be zero'}
-    }
-  }
-  if (operator == '+') {
-    if (!(right.match(/[a-zA-Z%]/) && left.match(/[a-zA-Z%]/))) {
-      log = {reason: 'ERROR: Addition cannot contain integers'}
-    }
-  }
-  if (operator == '-') {
-    if (!(right.match(/[a-zA-Z%]/) && left.match(/[a-zA-Z%]/))) {
-      log = {reason: 'ERROR: Subtraction cannot contain integers'}
+/**
+ * Get the property name suggested for an unknown one: the one of `SUGGESTED_PROP_NAME_GROUP`,
+ * else the closest property of the device level, one edit away for the names of less than 8 characters,
+ * two edits otherwise
+ *
+ * @param  {string} name   camel cased
+ * @param  {string} deviceLevel
+ * @return {string|undefined} camel cased
+ */
+function getSuggestedName(name, deviceLevel) {
+  if (SUGGESTED_PROP_NAME_GROUP[name]) {
+    return SUGGESTED_PROP_NAME_GROUP[name]
+  }
+  var suggested
+  // the short names are not suggested a name, e.g. `x` for `xy`
+  var min = name.length < 4 ? 0 : name.length < 8 ? 1 : 2
+  Object.keys(getValidatorMap(deviceLevel)).forEach(function (known) {
+    var distance = getDistance(name.toLowerCase(), known.toLowerCase())
+    if (distance <= min && (!suggested || distance < suggested.distance)) {
+      suggested = { name: known, distance: distance }
     }
-  }
-  return log
+  })
+  return suggested && suggested.name
 }
 
-function getResult(left, right, operator) {
-  var value, log, errLog
-  if (left.match(/var/)) {
-    left = cssVarFun(left)
-  }
-  if (right.match(/var/)) {
-    right = cssVarFun(right)
-  }
-  errLog = checkComputation(left, right, operator)
-  if (errLog) {
-    return { value: null, log: errLog }
-  }
-  var result, value, unit
-  var leftValue = getValueUnit(left)
-  var rightValue = getValueUnit(right)
-  if (left.match(/\(/) | right.match(/\(/)) {
-    result = left + ' ' + operator + ' ' + right
-  } else {
-    if (operator == '*') {
-      value = leftValue.value * rightValue.value
-      if (leftValue.unit == null) {
-        unit = rightValue.unit
-      } else { unit = leftValue.unit}
-      result = value + unit
-    } else if (operator == '/') {
-      if (parseInt(rightValue.value) != 0) {
-        value = leftValue.value / rightValue.value
-        unit = leftValue.unit
-        result = value + unit
-      }
-    } else if (operator == '+') {
-      if (JSON.stringify(leftValue.unit) == JSON.stringify(rightValue.unit)) {
-        value = parseInt(leftValue.value) + parseInt(rightValue.value)
-        unit = leftValue.unit
-        result = value + unit
-      } else result = '(' + left + ' ' + operator + ' ' + right + ')'
-    } else if (operator == '-') {
-      if (JSON.stringify(leftValue.unit) == JSON.stringify(rightValue.unit)) {
-        value = parseInt(leftValue.value) - parseInt(rightValue.value)
-        unit = leftValue.unit
-        result = value + unit
-      } else result = '(' + left + ' ' + operator + ' ' + right + ')'
-    }
-  }
-  return { value: result, log: null }
-}
-
-function evalRpn(rpnQueue) {
-  var outputStack = []
-  var value, res, log
-  while(rpnQueue.length > 0) {
-    var cur = rpnQueue.shift()
-    if(!isOperator(cur)) {
-      outputStack.push(cur)
-    } else {
-      if(outputStack.length < 2) {
-      log = {reason: 'ERROR: Expression does not conform to specification'}
-      }
-      var sec = outputStack.pop()
-      var fir = outputStack.pop()
-      res = getResult(fir, sec, cur)
-      log = res.log
-      if (log) {
+/**
+ * Resolve the `var()` and compute the `calc()` of a value
+ *
+ * @param  {string} name   camel cased
+ * @param  {string} value
+ * @param  {object} options see `validate`
+ * @return {object}
+ */
+function expValidate(name, value, options) {
+  var res, log
+  if (typeof value === 'string') {
+    if (value.match(/var\(/)) {
+      res = variables.resolve(value, options && options.scope || variables.createScope(options && options.variables),
+        options && options.selectors || [], /^--/.test(name) ? [name] : [])
+      if (res.log) {
         return {
-          value: null,
-          log: log
+          log: res.log
         }
-      } else {
-        outputStack.push(res.value)
       }
+      value = res.value
     }
-  }
-  if(outputStack.length != 1) {
-    log = {reason: 'ERROR: Expression does not conform to specification'}
-  } else {
-    if (outputStack[0].match(/[+-]/)) {
-      value = 'calc' + outputStack[0]
-    } else {
-      value = outputStack[0]
+    if (name != 'border' && value.match(calc.MATH_REGEXP)) {
+      res = calc.evaluate(value)
+      log = res.log
+      value = res.value
     }
   }
   return {
     value: value,
-    log: log
+    log: log,
+    check: res && res.check
   }
 }
 
-var cssPropData = []
-
-function saveCssProp(name, value) {
-  if (name.match(/\-\-/)) {
-    while (value.match(/var/)) {
-      var value = cssVarFun(value)
-    }
-    cssPropData.push({name: name,value: value})
+/**
+ * Put the `var()` of the value of a shorthand property back into its value validated with the custom
+ * properties resolved, so that they are kept through the expansion of the property. Each part of the
+ * value must be a `var()` standing for one part, or have no `var()`.
+ *
+ * @param  {string} value
+ * @param  {*}      validated the parts joined by spaces, or an array of the parts
+ * @param  {object} options see `validate`
+ * @return {*} the validated value with the `var()`, undefined if they can not be kept
+ */
+function keepShorthandVariables(value, validated, options) {
+  var scope = options.scope || variables.createScope(options.variables)
+  var parts = value.trim().split(SHORTHAND_SPLIT_REGEXP)
+  for (var i = 0; i < parts.length; i++) {
+    if (!/var\(/.test(parts[i])) {
+      continue
+    }
+    var resolved = VAR_PART_REGEXP.test(parts[i]) && variables.resolve(parts[i], scope, options.selectors || [])
+    if (!resolved || resolved.log || /\s/.test(resolved.value.trim())) {
+      return
+    }
+  }
+  if (typeof validated === 'string') {
+    var items = validated.trim().split(SHORTHAND_SPLIT_REGEXP)
+    return items.length === parts.length ? items.map(function (item, index) {
+      return /var\(/.test(parts[index]) ? parts[index] : item
+    }).join(' ') : undefined
+  }
+  if (Array.isArray(validated) && validated.length === parts.length) {
+    return validated.map(function (item, index) {
+      return /var\(/.test(parts[index]) ? Object.assign({}, item, { value: parts[index] }) : item
+    })
   }
 }
 
-function cssVarFun(value) {
-  if (value.match(/calc/)) {
-    return value
-  } else {
-    if (value.match(/var/)) {
-      if (value.match(/\,/)) {
-        var cssVarFir = value.substring(0,value.indexOf(",")).replace("var(","").trim()
-        var cssVarSec = value.substring(value.indexOf(",")+1,value.length).replace(")","").trim()
-      } else {
-          var cssVarFir = value.replace("var(","").replace(")","").trim()
-          var cssVarSec = ""
-      }
-      let varValue = cssVarSec
-      for(var i=0, len=cssPropData.length; i<len; i++) {
-        var cPDName = cssPropData[i].name.trim()
-        cssVarFir = util.hyphenedToCamelCase(cssVarFir)
-        if (cssVarFir == cPDName) {
-          varValue = cssPropData[i].value
-        }
-      }
-      return varValue
-    } else {
-      return value
+/**
+ * Validate a value whose `var()` are resolved by the runtime, with the `runtimeVariables` option.
+ * The value is kept, and checked with the custom properties it refers to, then with its fallback
+ * values. The `var()` of a shorthand property are kept in the parts they stand for, or resolved
+ * when they can not be kept. The custom properties themselves are only checked for references to
+ * each other, as their value depends on the property using them.
+ *
+ * @param  {string} name   camel cased
+ * @param  {string} value
+ * @param  {object} options see `validate`
+ * @return {object}
+ */
+function validateRuntimeVariables(name, value, options) {
+  var scope = options.scope || variables.createScope(options.variables)
+  var selectors = options.selectors || []
+  var declared = variables.resolve(value, scope, selectors, /^--/.test(name) ? [name] : [])
+  if (/^--/.test(name)) {
+    return {
+      value: value,
+      log: declared.log && declared.log.code === 'STYLE-VAR-CIRCULAR' ? declared.log : undefined
     }
   }
-}
-
-function expValidate(name, value) {
-  var res, log
-  saveCssProp(name, value)
-  if (typeof value === 'string' && name != 'border') {
-    if (value.match(/var/)) {
-      value = cssVarFun(value)
-    }
-    if (value.match(/calc/)) {
-      var checkOp =
-        /[a-zA-Z0-9()]\+|\+[a-zA-Z0-9()]|[a-zA-Z0-9()](?<!\-)\-(?!\-)|(?<!\-)\-(?!\-)[a-zA-Z0-9()]|[a-zA-Z0-9()]\*|\*[a-zA-Z0-9()]|[a-zA-Z0-9()]\/|\/[a-zA-Z0-9()]/
-      if (value.match(checkOp) && value.match(/calc\(|var\(\-\-/)) {
-        log = {reason: 'ERROR: Expression error, A space is required before and after the operator'}
-        return {
-          log: log
-        }
+  if (declared.log) {
+    return {
+      value: null,
+      log: declared.log
+    }
+  }
+  var checked = [declared.value]
+  var fallback = variables.resolve(value, variables.createScope(), [])
+  if (!fallback.log && fallback.value !== declared.value) {
+    checked.push(fallback.value)
+  }
+  var compileOptions = Object.assign({}, options, { runtimeVariables: false })
+  var results = []
+  for (var i = 0; i < checked.length; i++) {
+    var result = results[i] = validate(name, checked[i], compileOptions)
+    if (result.value === null || result.value === undefined) {
+      return {
+        value: null,
+        log: result.log
       }
-      res = dal2Rpn(value)
-      res = evalRpn(res.value)
-      log = res.log
-      value = res.value
+    }
+    if (result.log) {
+      break
+    }
+  }
+  var log = results[results.length - 1].log
+  if (name !== 'border' && Object.values(util.getSpecialAttr(options)).indexOf(name) === -1) {
+    return {
+      value: value,
+      log: log
+    }
+  }
+  var kept = keepShorthandVariables(value, results[0].value, options)
+  if (kept === undefined) {
+    return {
+      value: results[0].value,
+      log: log || messages.createLog('STYLE-VAR-SHORTHAND', { name: util.camelCaseToHyphened(name), value: value })
     }
   }
   return {
-    value: value,
+    value: kept,
     log: log
   }
 }
@@ -3345,13 +3193,24 @@ function expValidate(name, value) {
  *
  * @param  {string} name   camel cased
  * @param  {string} value
+ * @param  {object} options
+ * - deviceLevel: rich, lite or card, the DEVICE_LEVEL environment variable by default
+ * - variables: custom properties inherited, see `parse`
+ * - scope, selectors: custom properties of the stylesheet and selectors of the rule, given by `parse`
+ * - runtimeVariables: keep the `var()` for the runtime to resolve them, in the parts of the shorthand
+ *   properties they stand for
  * @return {object}
  * - value:string or null
  * - log:{reason:string} or undefined
  */
-function validate(name, value) {
+function validate(name, value, options) {
+  var deviceLevel = util.getDeviceLevel(options)
+  var card = deviceLevel === 'card'
   var log, expRes
-  expRes = expValidate(name, value)
+  if (options && options.runtimeVariables && typeof value === 'string' && value.match(/var\(/)) {
+    return validateRuntimeVariables(name, value, options)
+  }
+  expRes = expValidate(name, value, options)
   if (expRes.log) {
     return {
       value: null,
@@ -3362,7 +3221,7 @@ function validate(name, value) {
   }
 
   var result
-  var validator = validatorMap[name]
+  var validator = getValidatorMap(deviceLevel)[name]
   if (typeof validator === 'function') {
     const flag = /{{{(.+?)}}}|{{(.+?)}}/.test(value) && card
     if (typeof value !== 'function' &&  !flag) {
@@ -3373,7 +3232,17 @@ function validate(name, value) {
       result = {value: value}
     }
     if (result.reason) {
-      log = {reason: result.reason(name, value, result.value)}
+      log = {reason: result.reason(name, value, result.value), code: result.reason.code}
+    }
+    // the arguments of min(), max(), clamp() and of the fallback of env() are values of the property
+    for (var i = 0; !log && expRes.check && i < expRes.check.length; i++) {
+      var checked = validator(expRes.check[i], name)
+      if (checked.reason) {
+        log = {reason: checked.reason(name, expRes.check[i], checked.value), code: checked.reason.code}
+        if (checked.value === null || checked.value === undefined) {
+          result = {value: null}
+        }
+      }
     }
   }
   else {
@@ -3386,10 +3255,17 @@ function validate(name, value) {
       }
     }
     result = {value: value}
-    var suggestedName = SUGGESTED_PROP_NAME_GROUP[name]
-    var suggested = suggestedName ? ', suggest `' + util.camelCaseToHyphened(suggestedName) + '`' : ''
-    log = {reason: 'WARNING: `' + util.camelCaseToHyphened(name) +
-      '` is not a standard attribute name and may not be supported' + suggested}
+    // custom properties are declared by the style, see `lib/variables.js`
+    if (/^--/.test(name)) {
+      return result
+    }
+    var suggestedName = getSuggestedName(name, deviceLevel)
+    var suggested = suggestedName && util.camelCaseToHyphened(suggestedName)
+    log = messages.createLog('STYLE-PROPERTY-UNKNOWN', {
+      name: util.camelCaseToHyphened(name),
+      suggested: suggested,
+      fix: suggested && 'Replace `' + util.camelCaseToHyphened(name) + '` with `' + suggested + '`.'
+    })
   }
   return {
     value: result.value,
@@ -3419,9 +3295,16 @@ module.exports = {
   TRANSITION_DELAY_VALIDATOR: TRANSITION_INTERVAL_VALIDATOR,
   TRANSITION_TIMING_FUNCTION_VALIDATOR: TRANSITION_TIMING_FUNCTION_VALIDATOR,
 
-  PROP_NAME_GROUPS: PROP_NAME_GROUPS,
+  // property groups and validators of the device level given by the environment
+  get PROP_NAME_GROUPS() {
+    return getPropNameGroups(util.getDeviceLevel())
+  },
   validateFuncMap: validateFuncMap,
 
-  map: validatorMap,
+  get map() {
+    return getValidatorMap(util.getDeviceLevel())
+  },
+  getPropNameGroups: getPropNameGroups,
+  getValidatorMap: getValidatorMap,
   validate: validate
 }
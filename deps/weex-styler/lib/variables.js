@@ -0,0 +1,222 @@
+'use strict'
+
+var util = require('./util')
+var messages = require('./messages')
+var cascade = require('./cascade')
+
+// selectors whose custom properties are seen by every element
+var ROOT_SELECTORS = [':root', 'html', '*']
+var NUMBER_REGEXP = /^[-+]?(\d+\.?\d*|\.\d+)$/
+
+/**
+ * Scope of the custom properties of a stylesheet, e.g. `--main-color: #ff0000`, or of a `@media`
+ * rule, whose properties only apply under its condition.
+ * The properties are recorded by selector: the elements matched by a rule are not known when the
+ * style is compiled, so `var()` resolves to the property of a selector of its rule, then of a root
+ * selector, then to the one of the inherited scope, e.g. of the stylesheet of a `@media` rule or of
+ * `app.css`. The names are camel cased, like the ones given to the validator.
+ *
+ * @param {object} parent scope inherited, as returned by `parse` in `data.variables`
+ * @return {object}
+ */
+function createScope(parent) {
+  return {
+    selectors: {},
+    parent: parent
+  }
+}
+
+/**
+ * Record a custom property in a scope
+ *
+ * @param {object} scope
+ * @param {array} selectors of the rule declaring it
+ * @param {string} name camel cased
+ * @param {string} value
+ * @param {boolean} keep whether a property already recorded is kept, for the imported files
+ */
+function declare(scope, selectors, name, value, keep) {
+  selectors.forEach(function (selector) {
+    var properties = scope.selectors[selector] = scope.selectors[selector] || {}
+    if (!keep || !properties.hasOwnProperty(name)) {
+      properties[name] = value
+    }
+  })
+}
+
+/**
+ * Record the custom properties of css rules. The ones of the `@media` rules are left out, they are
+ * collected in the scope of their rule.
+ *
+ * @param {object} scope
+ * @param {array} rules of the css AST
+ */
+function collect(scope, rules) {
+  (rules || []).forEach(function (rule) {
+    if (rule.type !== 'rule' || !rule.declarations) {
+      return
+    }
+    rule.declarations.forEach(function (declaration) {
+      if (declaration.type === 'declaration' && /^--/.test(declaration.property)) {
+        declare(scope, rule.selectors, util.hyphenedToCamelCase(declaration.property),
+          cascade.splitImportant(declaration.value).value)
+      }
+    })
+  })
+}
+
+/**
+ * Record the custom properties of an imported file, the ones of the importing file win
+ *
+ * @param {object} scope of the importing file
+ * @param {object} imported scope of the imported file
+ */
+function merge(scope, imported) {
+  Object.keys(imported.selectors).forEach(function (selector) {
+    Object.keys(imported.selectors[selector]).forEach(function (name) {
+      declare(scope, [selector], name, imported.selectors[selector][name], true)
+    })
+  })
+}
+
+/**
+ * Find the value of a custom property
+ *
+ * @param {object} scope
+ * @param {string} name camel cased
+ * @param {array} selectors of the rule using it
+ * @return {string|undefined}
+ */
+function lookup(scope, name, selectors) {
+  for (; scope; scope = scope.parent) {
+    var candidates = selectors.concat(ROOT_SELECTORS)
+    for (var i = 0; i < candidates.length; i++) {
+      var properties = scope.selectors[candidates[i]]
+      if (properties && properties.hasOwnProperty(name)) {
+        return properties[name]
+      }
+    }
+  }
+}
+
+/**
+ * Find the `var()` functions of a value, with their name and fallback value
+ *
+ * @param {string} value
+ * @return {array} start and end offsets, name and fallback of each one
+ */
+function findVars(value) {
+  var found = []
+  var reg = /var\(\s*(--[\w-]+)\s*/g
+  var match
+  while ((match = reg.exec(value))) {
+    var depth = 1
+    var comma = -1
+    var end = reg.lastIndex
+    for (; end < value.length && depth; end++) {
+      if (value[end] === '(') {
+        depth++
+      } else if (value[end] === ')') {
+        depth--
+      } else if (value[end] === ',' && depth === 1 && comma === -1) {
+        comma = end
+      }
+    }
+    found.push({
+      start: match.index,
+      end: end,
+      name: util.hyphenedToCamelCase(match[1]),
+      fallback: comma === -1 ? undefined : value.slice(comma + 1, end - 1).trim()
+    })
+    reg.lastIndex = end
+  }
+  return found
+}
+
+/**
+ * Replace the `var()` functions of a value by the custom properties they refer to, or by their
+ * fallback value. A property which is not defined, without fallback value, or which refers
+ * to itself, directly or not, leaves the value invalid.
+ *
+ * @param {string} value
+ * @param {object} scope
+ * @param {array} selectors of the rule of the value
+ * @param {array} chain custom properties being resolved, the one declared with the value first
+ * @return {object} the resolved value, or the log of the property which can not be resolved
+ */
+function resolve(value, scope, selectors, chain) {
+  chain = chain || []
+  var vars = findVars(value)
+  var result = ''
+  var last = 0
+  for (var i = 0; i < vars.length; i++) {
+    var item = vars[i]
+    var resolved
+    if (chain.indexOf(item.name) !== -1) {
+      return {
+        log: messages.createLog('STYLE-VAR-CIRCULAR', {
+          chain: chain.slice(chain.indexOf(item.name)).concat(item.name).map(util.camelCaseToHyphened).join(' -> ')
+        })
+      }
+    }
+    var declared = lookup(scope, item.name, selectors)
+    if (declared !== undefined) {
+      resolved = resolve(declared, scope, selectors, chain.concat(item.name))
+    } else if (item.fallback !== undefined) {
+      resolved = resolve(item.fallback, scope, selectors, chain)
+    } else {
+      return {
+        log: messages.createLog('STYLE-VAR-UNDEFINED', { name: util.camelCaseToHyphened(item.name) })
+      }
+    }
+    if (resolved.log) {
+      return resolved
+    }
+    result += value.slice(last, item.start) + resolved.value
+    last = item.end
+  }
+  return { value: result + value.slice(last) }
+}
+
+/**
+ * Get the custom properties of a scope as returned by `parse`, without the inherited ones
+ *
+ * @param {object} scope
+ * @return {object} selectors
+ */
+function toJSON(scope) {
+  return {
+    selectors: scope.selectors
+  }
+}
+
+/**
+ * Get the table of the custom properties of a scope and of the inherited ones, by selector, with
+ * their hyphened names. It is emitted with the `runtimeVariables` option, for the runtime to resolve
+ * the `var()` and to switch themes by replacing the values. The values without unit are numbers, like
+ * the ones of the properties.
+ *
+ * @param {object} scope
+ * @param {boolean} own whether the inherited properties are left out, for a `@media` rule
+ * @return {object}
+ */
+function toTable(scope, own) {
+  var table = scope.parent && !own ? toTable(scope.parent) : {}
+  Object.keys(scope.selectors).forEach(function (selector) {
+    var properties = table[selector] = table[selector] || {}
+    Object.keys(scope.selectors[selector]).forEach(function (name) {
+      var value = scope.selectors[selector][name]
+      properties[util.camelCaseToHyphened(name)] = NUMBER_REGEXP.test(value) ? parseFloat(value) : value
+    })
+  })
+  return table
+}
+
+module.exports = {
+  createScope: createScope,
+  collect: collect,
+  merge: merge,
+  resolve: resolve,
+  toJSON: toJSON,
+  toTable: toTable
+}
@@ -4,9 +4,27 @@ var sinonChai = require('sinon-chai')
 var expect = chai.expect
 chai.use(sinonChai)
 
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+
 var styler = require('../')
 
 describe('parse', function () {
+  // the directories of the style files the tests write, removed after each test
+  var dirs = []
+
+  function mkdtemp() {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'styler-'))
+    dirs.push(dir)
+    return dir
+  }
+
+  afterEach(function () {
+    dirs.splice(0).forEach(function (dir) {
+      fs.rmSync(dir, {recursive: true, force: true})
+    })
+  })
 
   it('parse normal style code', function (done) {
     var code = 'html {color: #000000;}\n\n.foo {color: red; background-color: rgba(255,255,255,0.6); -webkit-transform: rotate(90deg); width: 200px; left: 0; right: 0px; border-width: 1pt; font-weight: 100}\n\n.bar {background: red}'
@@ -282,8 +300,385 @@ describe('parse', function () {
       expect(err[0].line).eql(1)
       expect(err[0].column).eql(5)
       expect(err[0].source).eql('')
-      expect(data.log).eql([{line: 1, column: 5, reason: 'ERROR: undefined:1:5: missing \'{\''}])
+      expect(data.log).eql([{line: 1, column: 5, reason: 'ERROR: undefined:1:5: missing \'{\'',
+        code: 'STYLE-SYNTAX-ERROR'}])
       done()
     })
   })
+
+  it('parse with the device level given in the options', function () {
+    var code = '.foo {background-image: url("./a.png");} .foo, .bar {color: #ff0000;}'
+    var results = {}
+    ;['rich', 'lite', 'card'].forEach(function (deviceLevel) {
+      styler.parse(code, function (err, data) {
+        results[deviceLevel] = data
+      }, undefined, {deviceLevel: deviceLevel})
+    })
+    expect(results.rich.jsonStyle).eql({
+      '.foo': {backgroundImage: './a.png', color: '#ff0000'},
+      '.bar': {color: '#ff0000'}
+    })
+    expect(results.lite.jsonStyle['.foo'].backgroundImage).eql('url("./a.png")')
+    expect(results.card.jsonStyle).eql({'.foo': {backgroundImage: './a.png'}})
+    expect(results.card.log).eql([
+      {line: 1, column: 42, reason: 'ERROR: The `.foo, .bar` selector is not supported.',
+        code: 'STYLE-SELECTOR-UNSUPPORTED'}
+    ])
+  })
+
+  it('parse with the codes of the messages', function () {
+    var code = '.foo {colr: red; color: red; width: 10em;}\n.foo .bar .baz {width: calc(10px+2px)}'
+    styler.parse(code, function (err, data) {
+      expect(data.log.map(function (log) {
+        return log.code
+      })).eql([
+        'STYLE-PROPERTY-UNKNOWN',
+        'STYLE-VALUE-AUTOFIXED',
+        'STYLE-UNIT-UNSUPPORTED',
+        'STYLE-CALC-OPERATOR-SPACE'
+      ])
+      expect(data.log[0].fix).eql('Replace `colr` with `color`.')
+      expect(data.log[1].reason).eql(styler.messages.format('STYLE-VALUE-AUTOFIXED', {value: 'red', result: '#FF0000'}))
+    })
+  })
+
+  it('parse the import graph', function () {
+    var dir = mkdtemp()
+    fs.writeFileSync(path.join(dir, 'a.css'), '@import "./b.css";\n@import "./c.css";\n.a {color: #000000;}')
+    fs.writeFileSync(path.join(dir, 'b.css'), '@import "./c.css";\n.b {color: #000000;}')
+    fs.writeFileSync(path.join(dir, 'c.css'), '@import "./b.css";\n@import "./d.css";\n.c {color: #000000;}')
+    var file = path.join(dir, 'a.css')
+    styler.parse(fs.readFileSync(file).toString(), function (err, data) {
+      expect(Object.keys(data.jsonStyle).sort()).eql(['.a', '.b', '.c'])
+      expect(data.imports).eql({
+        [file]: [path.join(dir, 'b.css'), path.join(dir, 'c.css')],
+        [path.join(dir, 'b.css')]: [path.join(dir, 'c.css')],
+        [path.join(dir, 'c.css')]: [path.join(dir, 'b.css')]
+      })
+      expect(data.missing).eql([path.join(dir, 'd.css')])
+      expect(data.log).eql([
+        {line: 2, column: 1, code: 'STYLE-IMPORT-DUPLICATED',
+          reason: 'WARNING: The style file `c.css` is imported more than once: a.css -> b.css -> c.css and a.css -> c.css.'},
+        {line: 1, column: 1, code: 'STYLE-IMPORT-CYCLE',
+          reason: 'ERROR: The style files import each other: b.css -> c.css -> b.css.'}
+      ])
+    }, file)
+  })
+
+  it('parse with the resolve option', function () {
+    var dir = mkdtemp()
+    fs.writeFileSync(path.join(dir, 'base.css'), '.base {color: #000000;}')
+    var code = '@import "~@company/theme/base.css";\n@import "missing.css";\n.a {color: #000000;}'
+    var resolve = function (request, issuer) {
+      expect(issuer).eql('/src/a.css')
+      return request === '~@company/theme/base.css' ? {file: path.join(dir, 'base.css')} :
+        {tried: ['/src/missing.css', '/node_modules/missing.css']}
+    }
+    styler.parse(code, function (err, data) {
+      expect(Object.keys(data.jsonStyle)).eql(['.base', '.a'])
+      expect(data.missing).eql(['/src/missing.css', '/node_modules/missing.css'])
+      expect(data.log).eql([
+        {line: 2, column: 1, code: 'STYLE-IMPORT-NOT-FOUND',
+          reason: 'ERROR: no such file or directory, open missing.css. Tried: /src/missing.css, /node_modules/missing.css'}
+      ])
+    }, '/src/a.css', {resolve: resolve})
+  })
+
+  it('parse with custom properties scoped to the style', function () {
+    var app = '.a {--color: #000000;}\n:root {--width: 10px;}'
+    var code = '.a {--color: #ff0000; color: var(--color); width: var(--width);}\n' +
+      '.b {color: var(--color); height: var(--height, 5px); width: var(--size);}\n' +
+      '.c {--x: var(--y); --y: var(--x); width: var(--x);}'
+    styler.parse(app, function (err, appData) {
+      styler.parse(code, function (err, data) {
+        expect(data.jsonStyle['.a']).eql({'--color': '#ff0000', color: '#ff0000', width: '10px'})
+        expect(data.jsonStyle['.b']).eql({height: '5px'})
+        expect(data.log.map(function (log) { return [log.line, log.code] })).eql([
+          [2, 'STYLE-VAR-UNDEFINED'],
+          [2, 'STYLE-VAR-UNDEFINED'],
+          [3, 'STYLE-VAR-CIRCULAR'],
+          [3, 'STYLE-VAR-CIRCULAR'],
+          [3, 'STYLE-VAR-CIRCULAR']
+        ])
+      }, '/src/page.css', {variables: appData.variables})
+      styler.parse('.b {color: var(--color);}', function (err, data) {
+        expect(data.jsonStyle).eql({})
+        expect(data.log[0].code).eql('STYLE-VAR-UNDEFINED')
+      }, '/src/other.css')
+    }, '/src/app.css')
+  })
+
+  it('parse with the custom properties of @media rules', function () {
+    var code = ':root {--width: 10px;}\n@media (max-width: 400px) {:root {--width: 20px; --height: 5px;}' +
+      ' .a {width: var(--width); height: var(--height);}}\n.b {width: var(--width); height: var(--height);}'
+    styler.parse(code, function (err, data) {
+      expect(data.jsonStyle['@MEDIA'][0]['.a']).eql({width: '20px', height: '5px'})
+      expect(data.jsonStyle['.b']).eql({width: '10px'})
+      expect(data.log.map(function (log) { return [log.line, log.code] })).eql([
+        [3, 'STYLE-VAR-UNDEFINED']
+      ])
+    })
+    styler.parse(code, function (err, data) {
+      expect(data.jsonStyle['@VARIABLES']).eql({':root': {'--width': '10px'}})
+      expect(data.jsonStyle['@MEDIA'][0]['@VARIABLES']).eql({':root': {'--width': '20px', '--height': '5px'}})
+    }, '/src/page.css', {runtimeVariables: true})
+  })
+
+  it('parse with the custom properties resolved by the runtime', function () {
+    var code = ':root {--color: #ff0000; --width: 10px; --bad: 10ab;}\n' +
+      '.a {color: var(--color); margin: var(--width); width: var(--width, 20px);}\n' +
+      '.b {height: var(--bad); color: var(--none, #zzzzzz); width: var(--none);}'
+    styler.parse(code, function (err, data) {
+      expect(data.jsonStyle['.a']).eql({
+        color: 'var(--color)',
+        marginTop: 'var(--width)',
+        marginRight: 'var(--width)',
+        marginBottom: 'var(--width)',
+        marginLeft: 'var(--width)',
+        width: 'var(--width, 20px)'
+      })
+      expect(data.jsonStyle['.b']).eql({height: 'var(--bad)'})
+      expect(data.jsonStyle['@VARIABLES']).eql({
+        ':root': {'--color': '#ff0000', '--width': '10px', '--bad': '10ab'},
+        '.a': {'--inner': '#000000'}
+      })
+      expect(data.log.map(function (log) { return [log.line, log.code] })).eql([
+        [3, 'STYLE-UNIT-UNSUPPORTED'],
+        [3, 'STYLE-COLOR-INVALID'],
+        [3, 'STYLE-VAR-UNDEFINED']
+      ])
+    }, '/src/page.css', {runtimeVariables: true, variables: {selectors: {'.a': {'--inner': '#000000'}}}})
+  })
+
+  it('parse shorthand properties with custom properties', function () {
+    var code = ':root {--x: 10px; --c: #ff0000; --pair: 1px 2px; --n: 2;}\n' +
+      '.a {margin: var(--x) 2px; border: 1px solid var(--c);}\n' +
+      '.b {padding: var(--pair); flex-grow: var(--n);}'
+    styler.parse(code, function (err, data) {
+      expect(data.jsonStyle['.a']).eql({
+        marginTop: '10px',
+        marginRight: '2px',
+        marginBottom: '10px',
+        marginLeft: '2px',
+        borderTopWidth: '1px',
+        borderRightWidth: '1px',
+        borderBottomWidth: '1px',
+        borderLeftWidth: '1px',
+        borderTopStyle: 'solid',
+        borderRightStyle: 'solid',
+        borderBottomStyle: 'solid',
+        borderLeftStyle: 'solid',
+        borderTopColor: '#ff0000',
+        borderRightColor: '#ff0000',
+        borderBottomColor: '#ff0000',
+        borderLeftColor: '#ff0000'
+      })
+      expect(data.jsonStyle['.b']).eql({
+        paddingTop: '1px',
+        paddingRight: '2px',
+        paddingBottom: '1px',
+        paddingLeft: '2px',
+        flexGrow: 2
+      })
+      expect(data.log).eql([])
+    })
+    styler.parse(code, function (err, data) {
+      expect(data.jsonStyle['.a']).eql({
+        marginTop: 'var(--x)',
+        marginRight: '2px',
+        marginBottom: 'var(--x)',
+        marginLeft: '2px',
+        borderTopWidth: '1px',
+        borderRightWidth: '1px',
+        borderBottomWidth: '1px',
+        borderLeftWidth: '1px',
+        borderTopStyle: 'solid',
+        borderRightStyle: 'solid',
+        borderBottomStyle: 'solid',
+        borderLeftStyle: 'solid',
+        borderTopColor: 'var(--c)',
+        borderRightColor: 'var(--c)',
+        borderBottomColor: 'var(--c)',
+        borderLeftColor: 'var(--c)'
+      })
+      expect(data.jsonStyle['.b']).eql({
+        paddingTop: '1px',
+        paddingRight: '2px',
+        paddingBottom: '1px',
+        paddingLeft: '2px',
+        flexGrow: 'var(--n)'
+      })
+      expect(data.jsonStyle['@VARIABLES']).eql({
+        ':root': {'--x': '10px', '--c': '#ff0000', '--pair': '1px 2px', '--n': 2}
+      })
+      expect(data.log.map(function (log) { return [log.line, log.code] })).eql([
+        [3, 'STYLE-VAR-SHORTHAND']
+      ])
+    }, '/src/page.css', {runtimeVariables: true})
+  })
+
+  it('parse calc() expressions', function () {
+    var code = '.a {width: calc(100% - 10.5px); height: calc(2 * (10px + 5.5px)); left: calc((100% - 20px) / 2);}\n' +
+      '.b {width: calc(10px * 2px); height: calc(10px + (1s - 2s));}'
+    styler.parse(code, function (err, data) {
+      expect(data.jsonStyle['.a']).eql({width: 'calc(100% - 10.5px)', height: '31px', left: 'calc((100% - 20px) / 2)'})
+      expect(data.jsonStyle['.b']).eql(undefined)
+      expect(data.log).eql([
+        {line: 2, column: 5, code: 'STYLE-CALC-MULTIPLIER',
+          reason: 'ERROR: One operand of the multiplication must be a number: `10px * 2px`'},
+        {line: 2, column: 30, code: 'STYLE-CALC-ADDITION',
+          reason: 'ERROR: The operands of the addition must have the same type, got length and time: `10px + (1s - 2s)`'}
+      ])
+    })
+  })
+
+  it('parse calc() of times and angles', function () {
+    var code = '.a {animation-duration: calc(1s + 200ms); transform: rotate(calc(90deg - 0.5turn));' +
+      ' animation-delay: max(1s, 500ms);}'
+    styler.parse(code, function (err, data) {
+      expect(data.jsonStyle['.a']).eql({animationDuration: '1200ms', transform: '{"rotate":"-90deg"}',
+        animationDelay: '1000ms'})
+      expect(data.log).eql([])
+    })
+  })
+
+  it('parse min(), max(), clamp() and env()', function () {
+    var code = '.a {width: clamp(12fp, 4vp, 20fp); height: max(10px, 2 * 7px); top: env(safe-area-inset-top, 20px);}\n' +
+      '.b {width: min(10px, 1s); height: env(safe-area-inset-middle); top: min(10px, 2em);}'
+    styler.parse(code, function (err, data) {
+      expect(data.jsonStyle['.a']).eql({width: 'clamp(12fp, 4vp, 20fp)', height: '14px',
+        top: 'env(safe-area-inset-top, 20px)'})
+      expect(data.log.map(function (log) { return [log.line, log.column, log.code] })).eql([
+        [2, 5, 'STYLE-MATH-TYPES'],
+        [2, 27, 'STYLE-MATH-ENV-UNKNOWN'],
+        [2, 64, 'STYLE-UNIT-UNSUPPORTED']
+      ])
+    })
+  })
+
+  it('parse nested rules', function () {
+    var code = '.a {\n  color: #000000;\n  .b { color: #ff0000; }\n  &:active { color: #00ff00; }\n' +
+      '  > .c { width: 10ab; }\n  @media (max-width: 400px) { color: #ffffff; }\n}'
+    styler.parse(code, function (err, data) {
+      expect(data.jsonStyle).eql({
+        '.a': {color: '#000000', 'color:active': '#00ff00'},
+        '.a .b': {color: '#ff0000'},
+        '.a > .c': {width: '10px'},
+        '@MEDIA': [{condition: '(max-width: 400px)', '.a': {color: '#ffffff'},
+          queries: [{condition: {feature: 'width', operator: '<=', value: '400px'}}]}]
+      })
+      expect(data.log.map(function (log) { return [log.line, log.column, log.code] })).eql([
+        [5, 10, 'STYLE-UNIT-UNSUPPORTED']
+      ])
+    })
+  })
+
+  it('parse nested rules followed by empty statements', function () {
+    var code = '.a {\n  .b { color: #ff0000; };\n  width: 10px;\n  .c { color: #00ff00; } ;\n}'
+    styler.parse(code, function (err, data) {
+      expect(data.jsonStyle).eql({
+        '.a': {width: '10px'},
+        '.a .b': {color: '#ff0000'},
+        '.a .c': {color: '#00ff00'}
+      })
+      expect(data.log).eql([])
+    })
+  })
+
+  it('parse compound and structural selectors', function () {
+    var code = '.a.b, text.title {color: #ff0000;}\n.list > .item:first-child:active {color: #00ff00;}\n' +
+      '[type="button"] + .c {color: #0000ff;}\n.d:not(.e), .f:active .g {color: #000000;}'
+    styler.parse(code, function (err, data) {
+      expect(data.jsonStyle['.a.b']).eql({color: '#ff0000'})
+      expect(data.jsonStyle['text.title']).eql({color: '#ff0000'})
+      expect(data.jsonStyle['.list > .item:first-child']).eql({'color:active': '#00ff00'})
+      // the legacy form, for the runtimes which do not read `@SELECTORS`
+      expect(data.jsonStyle['.list > .item']).eql({'color:first-child:active': '#00ff00'})
+      expect(data.jsonStyle['@SELECTORS']).eql({
+        '.a.b': [{classes: ['a', 'b']}],
+        'text.title': [{tag: 'text', classes: ['title']}],
+        '.list > .item:first-child': [
+          {classes: ['list']},
+          {combinator: '>', classes: ['item'], pseudos: [{name: 'first-child'}]}
+        ],
+        '[type="button"] + .c': [
+          {attributes: [{name: 'type', operator: '=', value: 'button'}]},
+          {combinator: '+', classes: ['c']}
+        ]
+      })
+      expect(data.log).eql([
+        {line: 4, column: 1, code: 'STYLE-SELECTOR-UNSUPPORTED',
+          reason: 'ERROR: The `:not(.e)` part of the `.d:not(.e)` selector is not supported.'},
+        {line: 4, column: 1, code: 'STYLE-SELECTOR-UNSUPPORTED',
+          reason: 'ERROR: The `:active` part of the `.f:active .g` selector is not supported.'}
+      ])
+    })
+  })
+
+  it('parse with the cascade of the declarations', function () {
+    var code = '#i.a {color: #000000;}\n.a {color: #ff0000 !important; margin: 1px; margin-left: 2px;}\n' +
+      '.a {color: #00ff00; width: 1px; width: 2px;}'
+    styler.parse(code, function (err, data) {
+      expect(Object.keys(data.jsonStyle)).eql(['@SELECTORS', '.a', '#i.a', '@IMPORTANT'])
+      expect(data.jsonStyle['.a']).eql({color: '#ff0000', marginTop: '1px', marginRight: '1px',
+        marginBottom: '1px', marginLeft: '2px', width: '2px'})
+      expect(data.jsonStyle['@IMPORTANT']).eql({'.a': ['color']})
+      expect(data.log).eql([
+        {line: 3, column: 21, code: 'STYLE-PROPERTY-OVERRIDDEN', reason: 'WARNING: The `width` property of the ' +
+          '`.a` selector is overridden by the declaration at line 3, this declaration is ignored.'},
+        {line: 3, column: 5, code: 'STYLE-PROPERTY-OVERRIDDEN', reason: 'WARNING: The `color` property of the ' +
+          '`.a` selector is overridden by the `!important` declaration at line 2, this declaration is ignored.'}
+      ])
+    }, undefined, {warnOverrides: true})
+  })
+
+  it('parse with the cascade keeping the at-rules in place', function () {
+    var code = '#i {color: #000000;}\n@keyframes k {from {opacity: 0;} to {opacity: 1;}}\n.a {color: #ff0000;}'
+    styler.parse(code, function (err, data) {
+      expect(Object.keys(data.jsonStyle)).eql(['.a', '@KEYFRAMES', '#i'])
+    })
+  })
+
+  it('parse pseudo-classes per selector and per component', function () {
+    var code = '.a:active, .b {color: #ff0000;}\nbutton:waiting, .c:checked::after {color: #00ff00;}\n' +
+      '.d:hover {color: #0000ff;}\ntext:waiting {color: #000000;}'
+    styler.parse(code, function (err, data) {
+      expect(data.jsonStyle['.a']).eql({'color:active': '#ff0000'})
+      expect(data.jsonStyle['.b']).eql({color: '#ff0000'})
+      expect(data.jsonStyle['button']).eql({'color:waiting': '#00ff00'})
+      expect(data.jsonStyle['.c']).eql({'color:checked::after': '#00ff00'})
+      expect(data.jsonStyle['.d']).eql(undefined)
+      expect(data.jsonStyle['text']).eql(undefined)
+      expect(data.log).eql([
+        {line: 3, column: 1, code: 'STYLE-PSEUDO-UNKNOWN', reason: 'ERROR: The `:hover` pseudo-class of the `.d:hover` ' +
+          'selector is not supported, supported: :active, :focus, :disabled, :checked, :waiting.'},
+        {line: 4, column: 1, code: 'STYLE-PSEUDO-COMPONENT', reason: 'ERROR: The `:waiting` pseudo-class of the ' +
+          '`text:waiting` selector is not supported by the `text` component, only by `button`.'}
+      ])
+    })
+  })
+
+  it('parse media queries', function () {
+    var code = '@media screen and (min-width: 320px), (round-screen) {\n  .a {color: #ff0000;}\n}\n' +
+      '@media (320px <= width < 600px) and\n  (round-screen: yes) {\n  .b {color: #00ff00;}\n}\n' +
+      '@media (orientation: landscape) {\n  .c {color: #0000ff;}\n}'
+    styler.parse(code, function (err, data) {
+      expect(data.jsonStyle['@MEDIA']).eql([{
+        condition: 'screen and (min-width: 320px), (round-screen)',
+        queries: [
+          {type: 'screen', condition: {feature: 'width', operator: '>=', value: '320px'}},
+          {condition: {feature: 'round-screen'}}
+        ],
+        '.a': {color: '#ff0000'}
+      }])
+      expect(data.log).eql([
+        {line: 5, column: 18, code: 'STYLE-MEDIA-VALUE-INVALID',
+          reason: 'ERROR: The value `yes` of the media feature `round-screen` is invalid, expected `true`, `false`, ' +
+            'the rules of `(320px <= width < 600px) and (round-screen: yes)` are ignored.'},
+        {line: 8, column: 9, code: 'STYLE-MEDIA-FEATURE-UNSUPPORTED',
+          reason: 'ERROR: The media feature `orientation` is not supported by the `lite` device level, ' +
+            'the rules of `(orientation: landscape)` are ignored.'}
+      ])
+    }, undefined, {deviceLevel: 'lite'})
+  })
 })
@@ -0,0 +1,188 @@
+/*
+ * Copyright (c) 2023 Huawei Device Co., Ltd.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs'
+import path from 'path'
+
+import { getResolvedOptions } from './options'
+import { SEVERITY_REG } from './messages'
+
+const SEVERITIES = {
+  NOTE: 'note',
+  WARN: 'warning',
+  WARNING: 'warning',
+  ERROR: 'error'
+}
+
+// compiler -> diagnostics by module identifier. They are kept over the compilations of a watch run,
+// as the loaders do not run again for the modules webpack takes from its cache
+const reports = new WeakMap()
+// compilation -> identifiers of the modules whose diagnostics are recorded anew in it
+const modules = new WeakMap()
+
+/**
+ * Convert a log of the templater, the styler or the loader to a diagnostic
+ * @param {Object} loader webpack loader context
+ * @param {Object} log with reason, and line, column, code and fix if known
+ * @returns {Object} diagnostic with severity, file, line, column, message, ruleId and fix
+ */
+export function createDiagnostic (loader, log) {
+  const match = log.reason.match(SEVERITY_REG)
+  return {
+    severity: match ? SEVERITIES[match[1]] : 'warning',
+    file: loader.resourcePath,
+    line: log.line,
+    column: log.column,
+    message: match ? log.reason.slice(match[0].length) : log.reason,
+    ruleId: log.code,
+    fix: log.fix,
+    target: getResolvedOptions(loader).target
+  }
+}
+
+/**
+ * Get the diagnostics of the module a loader runs for, when a diagnostics file is set. They are
+ * cleared the first time a loader runs for the module in a compilation. The diagnostics of the
+ * modules of the compilation are written to the file once they are built.
+ * @param {Object} loader webpack loader context
+ * @returns {Array<Object>|undefined}
+ */
+function getReport (loader) {
+  const compilation = loader._compilation
+  const { diagnosticsFile, diagnosticsFormat } = getResolvedOptions(loader)
+  if (!diagnosticsFile || !compilation || !compilation.hooks || !loader._module) {
+    return
+  }
+  const owner = compilation.compiler || compilation
+  let report = reports.get(owner)
+  if (!report) {
+    report = new Map()
+    reports.set(owner, report)
+  }
+  let started = modules.get(compilation)
+  if (!started) {
+    started = new Set()
+    modules.set(compilation, started)
+    compilation.hooks.finishModules.tap('weex-loader', built => {
+      const identifiers = new Set(Array.from(built, module => module.identifier()))
+      const diagnostics = []
+      report.forEach((items, identifier) => {
+        if (identifiers.has(identifier)) {
+          diagnostics.push(...items)
+        } else {
+          report.delete(identifier)
+        }
+      })
+      writeReport(diagnosticsFile, diagnosticsFormat, diagnostics)
+    })
+  }
+  const identifier = loader._module.identifier()
+  if (!started.has(identifier)) {
+    started.add(identifier)
+    report.set(identifier, [])
+  }
+  return report.get(identifier)
+}
+
+/**
+ * Record a log in the diagnostics of the compilation, see `getReport`
+ * @param {Object} loader webpack loader context
+ * @param {Object} log
+ */
+export function reportDiagnostic (loader, log) {
+  const report = getReport(loader)
+  if (report) {
+    report.push(createDiagnostic(loader, log))
+  }
+}
+
+/**
+ * Start the diagnostics of the module a loader runs for, so that the ones of its previous build
+ * are cleared, and the ones of the compilation, so that a compilation without any issue still
+ * replaces the file written by the previous one
+ * @param {Object} loader webpack loader context
+ */
+export function startReport (loader) {
+  getReport(loader)
+}
+
+/**
+ * Describe a rule of the SARIF log by its code, e.g. `Style property unknown` for
+ * `STYLE-PROPERTY-UNKNOWN`
+ * @param {string} code
+ * @returns {string}
+ */
+function describeRule (code) {
+  const text = code.toLowerCase().replace(/-/g, ' ')
+  return text.charAt(0).toUpperCase() + text.slice(1)
+}
+
+/**
+ * Format diagnostics as a SARIF 2.1.0 log
+ * @param {Array<Object>} diagnostics
+ * @returns {Object}
+ */
+export function toSarif (diagnostics) {
+  const rules = []
+  diagnostics.forEach(diagnostic => {
+    if (diagnostic.ruleId && rules.indexOf(diagnostic.ruleId) === -1) {
+      rules.push(diagnostic.ruleId)
+    }
+  })
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'weex-loader',
+          rules: rules.map(id => ({ id, shortDescription: { text: describeRule(id) } }))
+        }
+      },
+      results: diagnostics.map(diagnostic => {
+        const region = diagnostic.line ? { startLine: diagnostic.line } : undefined
+        if (region && diagnostic.column) {
+          region.startColumn = diagnostic.column
+        }
+        return {
+          ruleId: diagnostic.ruleId,
+          level: diagnostic.severity,
+          message: { text: diagnostic.message },
+          locations: [{
+            physicalLocation: {
+              artifactLocation: { uri: path.relative('.', diagnostic.file).split(path.sep).join('/') },
+              region
+            }
+          }],
+          properties: diagnostic.fix || diagnostic.target ?
+            { fix: diagnostic.fix, target: diagnostic.target } : undefined
+        }
+      })
+    }]
+  }
+}
+
+/**
+ * Write diagnostics to a file
+ * @param {string} file
+ * @param {string} format json or sarif, given by the extension of the file by default
+ * @param {Array<Object>} diagnostics
+ */
+export function writeReport (file, format, diagnostics) {
+  format = format || (/\.sarif(\.json)?$/.test(file) ? 'sarif' : 'json')
+  const content = format === 'sarif' ? toSarif(diagnostics) : { diagnostics }
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true })
+  fs.writeFileSync(file, JSON.stringify(content, null, 2))
+}
@@ -20,7 +20,8 @@
 import loaderUtils from 'loader-utils'
 
 import {
-  extractBlocks
+  extractBlocks,
+  padBlockContent
 } from './parser'
 
 module.exports = function (source) {
@@ -28,7 +29,7 @@ module.exports = function (source) {
 
   const callback = this.async()
   const loaderQuery = loaderUtils.getOptions(this) || {}
-  const resourceQuery = loaderUtils.parseQuery(this.resourceQuery) || {}
+  const resourceQuery = loaderUtils.parseQuery(this.resourceQuery || '?') || {}
   const name = resourceQuery.name
 
   let contentPromise
@@ -38,13 +39,16 @@ module.exports = function (source) {
       extractBlocks(source, 'elements')
   }
   else {
-    contentPromise = Promise.resolve({ content: source })
+    contentPromise = Promise.resolve({ [name]: { content: source, line: 1, column: 1 } })
   }
 
   contentPromise.then(elements => {
-    if (loaderQuery.raw) {
-      return elements[name].content
+    const element = elements[name]
+    if (!element) {
+      throw new Error(`Can not find the inline element "${name}" in ${this.resourcePath}.`)
     }
+    // keep the positions of the original file unless the raw content is asked for
+    return loaderQuery.raw ? element.content : padBlockContent(element)
   }).then(result => {
     callback(null, result)
   }).catch(e => {
@@ -0,0 +1,58 @@
+/*
+ * Copyright (c) 2023 Huawei Device Co., Ltd.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import loaderUtils from 'loader-utils'
+
+import {
+  extractBlocks,
+  padBlockContent,
+  blankInlineElements
+} from './parser'
+
+/**
+ * Selects one `<template>`, `<style>` or `<script>` block of a single-file component.
+ * The block is chosen by the resource query, e.g. `page.hml?block=style&index=0`.
+ * Without a block in the query, the whole file is kept but the content of its inline
+ * `<element>` blocks is blanked, as they are compiled as separate components.
+ * The content is padded so that lines and columns still match the original file.
+ */
+module.exports = function (source) {
+  this.cacheable && this.cacheable()
+
+  const callback = this.async()
+  const resourceQuery = this.resourceQuery && loaderUtils.parseQuery(this.resourceQuery) || {}
+  const type = resourceQuery.block
+  const index = parseInt(resourceQuery.index) || 0
+
+  let contentPromise
+  if (type) {
+    contentPromise = extractBlocks(source, type).then(blocks => {
+      const block = blocks[index]
+      if (!block) {
+        throw new Error(`Can not find the <${type}> block ${index} in ${this.resourcePath}.`)
+      }
+      return padBlockContent(block)
+    })
+  }
+  else {
+    contentPromise = blankInlineElements(source)
+  }
+
+  contentPromise.then(result => {
+    callback(null, result)
+  }).catch(e => {
+    callback(e, '')
+  })
+}
@@ -0,0 +1,81 @@
+/*
+ * Copyright (c) 2023 Huawei Device Co., Ltd.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Runtime of the hot module replacement of the components, bundled with the pages built with
+ * the `hot` option. The `module.hot.accept` handlers generated by the loader call it with the
+ * new template, style or script of a component:
+ *
+ * - `patch` sets the new template and style on the definition of the component, so that the
+ *   instances created later use them, without running the script again
+ * - `reload` defines the component again with its new script
+ *
+ * Then the live instances are updated by the framework, through the `$app_hot_reload$` hook
+ * it provides: `$app_hot_reload$(name, changes)`, `changes` being the template and style,
+ * or undefined when the script changed. Without the hook, the changes apply to the new
+ * instances only.
+ */
+
+// component name -> exports of its definition
+const components = {}
+
+/**
+ * Record the exports of a component when the framework defines it
+ * @param {string} name e.g. `@app-component/index`
+ * @param {Object} exports
+ */
+export function register (name, exports) {
+  components[name] = exports
+}
+
+/**
+ * Update the live instances of a component through the hook of the framework
+ * @param {string} name
+ * @param {Object} changes template and style, undefined if the component is defined again
+ * @returns {boolean} whether the framework has the hook
+ */
+function notify (name, changes) {
+  /* global $app_hot_reload$ */
+  if (typeof $app_hot_reload$ === 'function') {
+    $app_hot_reload$(name, changes)
+    return true
+  }
+  return false
+}
+
+/**
+ * Apply a new template or style to a component
+ * @param {string} name
+ * @param {Object} changes template and style of the component
+ * @returns {boolean} whether the live instances are updated
+ */
+export function patch (name, changes) {
+  if (components[name]) {
+    Object.assign(components[name], changes)
+  }
+  return notify(name, changes)
+}
+
+/**
+ * Define a component again, after its script changed
+ * @param {string} name
+ * @param {Function} define calls `$app_define$` for the component
+ * @returns {boolean} whether the live instances are updated
+ */
+export function reload (name, define) {
+  delete components[name]
+  define()
+  return notify(name)
+}
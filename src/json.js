@@ -22,17 +22,25 @@ const path = require('path')
 const transCardArray = require('./templater/bind').transCardArray
 const resourceReferenceParsing = require('./resource-reference-script')
 
-import { logWarn } from './util'
+import {
+  logWarn,
+  shiftMap
+} from './util'
+import { getResolvedOptions } from './options'
+import { createLog } from './messages'
+import { startReport } from './diagnostics'
 
 const REG_EVENT_STRING = /("\s*\$event\..+")|('\s*\$event\..+')/g
 const REG_EVENT = /\$event\.[\w]+/g
 const REG_THIS = /this\..*/g
 
-module.exports = function (source) {
+module.exports = function (source, map) {
   this.cacheable && this.cacheable()
+  startReport(this)
 
   const extName = path.extname(this.resourcePath)
-  if (process.env.DEVICE_LEVEL === 'card') {
+  const card = getResolvedOptions(this).deviceLevel === 'card'
+  if (card) {
     source = source.replace(/\/\*((\n|\r|.)*?)\*\//mg, "")
     source = source.replace(/(\s|\;|^|\{|\})\/\/.*$/mg, "$1")
     if (extName === '.js' || extName === '.json') {
@@ -63,9 +71,7 @@ module.exports = function (source) {
         try {
           source = JSON.stringify(eval('(' + source + ')'))
         } catch (e) {
-          logWarn(this, [{
-            reason: 'ERROR: Failed to parse the file : ' + this.resourcePath + `\n${e}`
-          }])
+          logWarn(this, [createLog('LOADER-JSON-PARSE-FAILED', { file: this.resourcePath, error: e })])
           return `{}`
         }
       } else {
@@ -73,5 +79,11 @@ module.exports = function (source) {
       }
     }
   }
-  return `module.exports = ${source}`
+  const prefix = 'module.exports = '
+  // the card sources are rewritten, their map no longer applies
+  if (map && !card) {
+    this.callback(null, prefix + source, shiftMap(map, prefix.length))
+    return
+  }
+  return prefix + source
 }
@@ -23,7 +23,8 @@ import fs from 'fs'
 
 import * as legacy from './legacy'
 import {
-  parseFragment
+  parseFragment,
+  getPosition
 }
 from './parser'
 import {
@@ -32,9 +33,26 @@ import {
   stringifyLoaders,
   logWarn,
   loadBabelModule,
-  elements
+  resolveLoaderModule,
+  trackFileExists,
+  generateLineMap
 }
 from './util'
+import { startReport } from './diagnostics'
+import { createLog } from './messages'
+import {
+  getComponentId,
+  getComponentRegistry
+}
+from './registry'
+import {
+  resolveOptions,
+  getLoaderQuery,
+  pickOptions,
+  getEntryName,
+  getTargetEntries
+}
+from './options'
 import { isReservedTag } from './templater/component_validator'
 
 const { DEVICE_LEVEL } = require('./lite/lite-enum')
@@ -46,11 +64,25 @@ const defaultLoaders = {
   style: path.resolve(loaderPath, 'style.js'),
   script: path.resolve(loaderPath, 'script.js'),
   json: path.resolve(loaderPath, 'json.js'),
+  extract: path.resolve(loaderPath, 'extract.js'),
+  element: path.resolve(loaderPath, 'element.js'),
   babel: loadBabelModule('babel-loader'),
   manifest: path.resolve(loaderPath, 'manifest-loader.js'),
   resourceReferenceScript: path.resolve(loaderPath, 'resource-reference-script.js')
 }
 
+// preprocessors available without any `lang` option, keyed by the lang/extension they handle
+const defaultLang = {
+  less: ['less-loader'],
+  scss: ['sass-loader'],
+  sass: ['sass-loader']
+}
+
+// languages of the `lang` option probed for the style file of a page, with the ones whose loaders are
+// marked with `style: true`, see `getLoaderOptions`. The other ones are the languages of the templates
+// and the scripts, e.g. `pug` or `ts`
+const styleLangs = ['less', 'scss', 'sass', 'styl', 'stylus', 'postcss', 'pcss']
+
 /**
  * Central loader configuration factory that returns the appropriate loader string
  * based on file type and configuration. Acts as a dispatcher for specialized loader strings.
@@ -58,7 +90,7 @@ const defaultLoaders = {
  * @param {string} type - The type of loader needed (main/element/template/style/script/config/data)
  * @param {Object} config - Configuration options for the loader including:
  *                - lang: Language specification
- *                - customLang: Custom language loaders
+ *                - options: Loader options with the custom language loaders, see `getLoaderOptions`
  *                - source: Source file path
  *                - app: Boolean flag for application scripts
  * @returns {string} Webpack-compatible loader string
@@ -69,7 +101,7 @@ function getLoaderString (type, config) {
   let loaders
   switch (type) {
     case 'main':
-      return mainLoaderString(loaders)
+      return mainLoaderString(loaders, config)
     case 'element':
       return elementLoaderString(loaders, config)
     case 'template':
@@ -86,31 +118,142 @@ function getLoaderString (type, config) {
 }
 
 /**
- * Loads a custom language loader based on configuration
- * Primarily used for loading Babel-compatible language processors (like TypeScript, Flow, etc.)
+ * Loads the custom language loaders configured for a language
+ * Primarily used for style preprocessors (less, sass, stylus, postcss...) and template or script languages
  * 
  * @param {Object} config - Configuration object containing:
- *                - lang: The language to load (e.g., 'typescript', 'flow')
- *                - customLang: Map of available custom languages and their loaders
- * @returns {Function|undefined} The loaded custom loader function, or undefined if not found
+ *                - lang: The language to load (e.g., 'less', 'stylus')
+ *                - options: Loader options, with the normalized map of languages and their loaders
+ *                  in `lang`, see `getLoaderOptions`
+ * @returns {Array|undefined} Loader specs ready for `stringifyLoaders`, or undefined if not found
  */
 function loadCustomLoader (config) {
-  if (config.lang && config.customLang[config.lang]) {
-    return loadBabelModule(config.customLang[config.lang][0])
+  const customLang = config.options && config.options.lang
+  if (config.lang && customLang && customLang[config.lang]) {
+    return customLang[config.lang].map(item => ({
+      name: item.loader,
+      query: item.options ? JSON.stringify(item.options) : undefined
+    }))
+  }
+}
+
+/**
+ * Reads the weex-loader options from the webpack configuration (or the query of a child request),
+ * resolves the options of `LOADER_OPTIONS` and normalizes the `lang` map. Each language maps to
+ * a loader name, a `{ loader, options, style }` object or an array of them, which are merged over the
+ * built-in sass/scss/less preprocessors. A language whose loaders set `style: true` is a style
+ * language, like the ones of `styleLangs`, whose file is probed as the style of a page.
+ * Loaders configured by the user must be resolvable, otherwise an error is reported.
+ * The `target` of an entry built for several device levels is read from its resource query.
+ * 
+ * @param {Object} _this - Webpack loader context
+ * @returns {Object|null} Resolved options, with:
+ *   - lang: mapping each language to `[{ loader, options, style }]`
+ *   - forward: the options set in the query, passed on to the child requests
+ *   or null if the options are invalid
+ */
+function getLoaderOptions (_this) {
+  const query = getLoaderQuery(_this)
+  const resolved = resolveOptions(query)
+  if (resolved.errors.length) {
+    logWarn(_this, resolved.errors)
+    return null
+  }
+  const userLang = query.lang || {}
+  if (typeof userLang !== 'object' || Array.isArray(userLang)) {
+    logWarn(_this, [createLog('LOADER-LANG-INVALID')])
+    return null
+  }
+  const context = _this.rootContext || process.cwd()
+  const lang = {}
+  let valid = true
+  Object.keys(defaultLang).concat(Object.keys(userLang)).forEach(key => {
+    if (lang[key]) {
+      return
+    }
+    const isDefault = !userLang[key]
+    const items = [].concat(isDefault ? defaultLang[key] : userLang[key])
+    lang[key] = items.map(item => {
+      const loader = typeof item === 'string' ? item : item && item.loader
+      if (typeof loader !== 'string' || !loader ||
+        (item.options !== undefined && (typeof item.options !== 'object' || item.options === null)) ||
+        (item.style !== undefined && typeof item.style !== 'boolean')) {
+        logWarn(_this, [createLog('LOADER-LANG-LOADER-INVALID', { lang: key })])
+        valid = false
+        return
+      }
+      if (isDefault) {
+        return { loader: loadBabelModule(loader) }
+      }
+      const resolved = resolveLoaderModule(loader, [context, process.cwd(), loaderPath])
+      if (!resolved) {
+        logWarn(_this, [createLog('LOADER-LANG-LOADER-NOT-FOUND', { loader, lang: key })])
+        valid = false
+        return
+      }
+      return { loader: resolved, options: item.options, style: item.style }
+    })
+  })
+  return valid ? Object.assign(resolved.options, {
+    lang,
+    forward: Object.assign(pickOptions(query), { lang: query.lang })
+  }) : null
+}
+
+/**
+ * Generates the spec of one of the loaders of weex-loader, passing on the options set
+ * in the webpack configuration so that child requests are compiled the same way
+ * 
+ * @param {string} name - Path of the loader
+ * @param {Object} config - Configuration options including:
+ *                - options: Loader options, see `getLoaderOptions`
+ * @returns {Object} Loader spec
+ */
+function ownLoader (name, config) {
+  const forward = pickOptions(config.options && config.options.forward)
+  return {
+    name,
+    query: Object.keys(forward).length ? JSON.stringify(forward) : undefined
   }
 }
 
+/**
+ * Generates the loaders selecting a part of a single-file component, they run before any other loader
+ * 
+ * @param {Object} config - Configuration options including:
+ *                - extract: select the block given by the resource query, or blank the inline elements
+ *                - inlineElement: narrow the resource to the inline element named in the resource query
+ * @returns {Array} Loader specs to append to a loader array
+ */
+function extractLoaderList (config) {
+  const loaders = []
+  if (config.extract) {
+    loaders.push({
+      name: defaultLoaders.extract
+    })
+  }
+  if (config.inlineElement) {
+    loaders.push({
+      name: defaultLoaders.element,
+      query: {
+        extract: true
+      }
+    })
+  }
+  return loaders
+}
+
 /**
  * Generates a webpack loader string using the default main loader
  * Provides a clean way to get the standard main loader configuration
  * 
  * @param {Array} loaders - Initial loader array (will be overridden)
+ * @param {Object} config - Configuration options including:
+ *                - options: Loader options passed on to the main loader
  * @returns {string} Webpack-compatible loader string with just the main loader
  */
-function mainLoaderString (loaders) {
-  loaders = [{
-    name: defaultLoaders.main
-  }]
+function mainLoaderString (loaders, config) {
+  loaders = [ownLoader(defaultLoaders.main, config)]
   return stringifyLoaders(loaders)
 }
 
@@ -120,16 +263,21 @@ function mainLoaderString (loaders) {
  * 
  * @param {Array} loaders - Initial loader array (will be overridden)
  * @param {Object} config - Configuration options including:
- *                - source: Source file path (optional)
+ *                - source: Source file path, undefined for an element defined inline in its parent
+ *                - options: Loader options of the parent, the options it was given are passed on
+ *                  to the element
  * @returns {string} Webpack-compatible loader string
  */
 function elementLoaderString (loaders, config) {
+  // serialized as JSON so the custom languages and the other options reach the child loader
   loaders = [{
     name: defaultLoaders.main,
-    query: {
+    query: JSON.stringify(Object.assign({
       element: config.source ? undefined : true
-    }
-  }]
+    }, config.options && config.options.forward))
+  }].concat(extractLoaderList({
+    inlineElement: !config.source
+  }))
   return stringifyLoaders(loaders)
 }
 
@@ -138,19 +286,22 @@ function elementLoaderString (loaders, config) {
  * Combines default JSON parsing with template processing, plus optional custom loaders
  * 
  * @param {Array} loaders - Initial loader array (will be overridden)
- * @param {Object} config - Configuration options (currently unused)
+ * @param {Object} config - Configuration options including:
+ *                - extract: select the block given by the resource query of a single-file component
+ *                - inlineElement: the resource is the inline element given by the resource query
+ *                - options: Loader options, see `getLoaderOptions`
  * @param {Array} customLoader - Optional custom loaders to append
  * @returns {string} Webpack-compatible loader string
  */
 function templateLoaderString (loaders, config, customLoader) {
-  loaders = [{
-    name: defaultLoaders.json
-  }, {
-    name: defaultLoaders.template
-  }]
+  loaders = [
+    ownLoader(defaultLoaders.json, config),
+    ownLoader(defaultLoaders.template, config)
+  ]
   if (customLoader) {
     loaders = loaders.concat(customLoader)
   }
+  loaders = loaders.concat(extractLoaderList(config))
   return stringifyLoaders(loaders)
 }
 
@@ -159,19 +310,22 @@ function templateLoaderString (loaders, config, customLoader) {
  * Combines default JSON and style loaders with optional custom loaders
  * 
  * @param {Array} loaders - Initial loader configuration (will be overridden)
- * @param {Object} config - Configuration options (unused in current implementation)
+ * @param {Object} config - Configuration options including:
+ *                - extract: select the block given by the resource query of a single-file component
+ *                - inlineElement: the resource is the inline element given by the resource query
+ *                - options: Loader options, see `getLoaderOptions`
  * @param {Array} customLoader - Optional array of custom loaders to append
  * @returns {string} Webpack-compatible loader string
  */
 function styleLoaderString (loaders, config, customLoader) {
-  loaders = [{
-    name: defaultLoaders.json
-  }, {
-    name: defaultLoaders.style
-  }]
+  loaders = [
+    ownLoader(defaultLoaders.json, config),
+    ownLoader(defaultLoaders.style, config)
+  ]
   if (customLoader) {
     loaders = loaders.concat(customLoader)
   }
+  loaders = loaders.concat(extractLoaderList(config))
   return stringifyLoaders(loaders)
 }
 
@@ -183,13 +337,15 @@ function styleLoaderString (loaders, config, customLoader) {
  * @param {Object} config - Configuration options including:
  *                - app: boolean indicating if processing app script
  *                - source: source file path
+ *                - extract: select the block given by the resource query of a single-file component
+ *                - inlineElement: the resource is the inline element given by the resource query
+ *                - options: Loader options, see `getLoaderOptions`
  * @param {Array} customLoader - Optional custom loaders to include
  * @returns {string} Webpack-compatible loader string
  */
 function scriptLoaderString (loaders, config, customLoader) {
-  loaders = [{
-    name: defaultLoaders.script
-  }]
+  const options = config.options || {}
+  loaders = [ownLoader(defaultLoaders.script, config)]
   if (customLoader) {
     loaders = loaders.concat(customLoader)
   }
@@ -197,7 +353,7 @@ function scriptLoaderString (loaders, config, customLoader) {
     const isTargets = {
       'extends': path.resolve(__dirname, "../babel.config.js")
     }
-    if (process.env.DEVICE_LEVEL === DEVICE_LEVEL.RICH) {
+    if (options.deviceLevel === DEVICE_LEVEL.RICH) {
       isTargets['targets'] = 'node 8';
     }
     loaders.push({
@@ -208,8 +364,8 @@ function scriptLoaderString (loaders, config, customLoader) {
       name: defaultLoaders.resourceReferenceScript
     })
   }
-  if (config.app && process.env.abilityType === 'page' &&
-    fs.existsSync(process.env.aceManifestPath)) {
+  if (config.app && options.abilityType === 'page' &&
+    options.aceManifestPath && fs.existsSync(options.aceManifestPath)) {
     loaders.push({
       name: defaultLoaders.manifest,
       query: {
@@ -217,6 +373,7 @@ function scriptLoaderString (loaders, config, customLoader) {
       }
     })
   }
+  loaders = loaders.concat(extractLoaderList(config))
   return stringifyLoaders(loaders)
 }
 
@@ -225,13 +382,11 @@ function scriptLoaderString (loaders, config, customLoader) {
  * Defaults to using the standard JSON loader regardless of input
  * 
  * @param {Array} loaders - Original loader array (gets overridden)
- * @param {Object} config - Additional configuration options (currently unused)
+ * @param {Object} config - Configuration options including the loader options passed on to the JSON loader
  * @returns {string} Webpack-compatible loader string
  */
 function configLoaderString (loaders, config) {
-  loaders = [{
-    name: defaultLoaders.json
-  }]
+  loaders = [ownLoader(defaultLoaders.json, config)]
   return stringifyLoaders(loaders)
 }
 
@@ -240,13 +395,11 @@ function configLoaderString (loaders, config) {
  * Uses default JSON loader configuration and stringifies the loader chain
  * 
  * @param {Array} loaders - Original loader configuration (overridden in this function)
- * @param {Object} config - Additional configuration object (unused in current implementation)
+ * @param {Object} config - Configuration options including the loader options passed on to the JSON loader
  * @returns {string} Stringified loader configuration
  */
 function dataLoaderString (loaders, config) {
-  loaders = [{
-    name: defaultLoaders.json
-  }]
+  loaders = [ownLoader(defaultLoaders.json, config)]
   return stringifyLoaders(loaders)
 }
 
@@ -255,60 +408,89 @@ function dataLoaderString (loaders, config) {
  * Handles both entry files and child components with proper dependency tracking
  * 
  * @param {string} source - The source code of the file being processed
- * @returns {string} The processed output code
+ * @param {Object} map - Source map of the source given by the previous loaders
+ * @returns {string} The processed output code, passed with its source map when enabled
  */
-function loader (source) {
+function loader (source, map) {
   this.cacheable && this.cacheable()
 
-  const options = {
-    lang: {
-      sass:['sass-loader'],
-      scss:['sass-loader'],
-      less:['less-loader']
-    }
+  startReport(this)
+  const options = getLoaderOptions(this)
+  if (!options) {
+    return ''
   }
-  const customLang = options.lang || {}
   const resourceQuery = this.resourceQuery && loaderUtils.parseQuery(this.resourceQuery) || {}
   const isEntry = resourceQuery.entry
   const dirName = path.parse(this.resourcePath)
   const name = isEntry ? dirName.name : resourceQuery.name || getNameByPath(this.resourcePath)
-  let parentPath = resourceQuery.parentPath || this.resourcePath;
+  // the page at the root of the elements, their names must be unique within it
+  const parentPath = resourceQuery.parentPath || this.resourcePath;
   if (isEntry) {
-    elements[this.resourcePath] = elements[this.resourcePath] || {};
-    elements[this.resourcePath][name] = true;
-  } else {
-    elements[this.resourcePath] = elements[this.resourcePath] || {};
-    elements[this.resourcePath]["parent"] = parentPath;
-    if (elements[parentPath] && elements[parentPath]["parent"]) {
-      elements[this.resourcePath]["parent"] = elements[elements[parentPath]["parent"]];
-      parentPath = elements[this.resourcePath]["parent"];
-    }
+    getComponentRegistry(this._compilation, options.target).addPage(this.resourcePath, name)
   }
-  if (isReservedTag(name) && process.env.abilityType === 'page') {
-    logWarn(this, [{
-      reason: 'ERROR: The file name cannot contain reserved tag name: ' + name
-    }])
+  if (isReservedTag(name) && options.abilityType === 'page') {
+    logWarn(this, [createLog('LOADER-RESERVED-NAME', { name })])
     return ''
   }
   let output = ''
   //  import app.js
-  output += loadApp(this, name, isEntry, customLang, source)
-  output += loadPage(this, name, isEntry, customLang, source, parentPath);
+  output += loadApp(this, name, isEntry, options, source)
+  output += loadPage(this, name, isEntry, options, source, parentPath);
+  if (this.sourceMap && output) {
+    this.callback(null, output, getOutputMap(this, source, output, map))
+    return
+  }
   return output
 }
 
+/**
+ * Maps the generated code of a component to its source: the require of a block to the block,
+ * the require of an element to its <element> tag, and the rest, e.g. the `$app_define$`
+ * wrapper, to the start of the component
+ *
+ * @param {Object} _this - Webpack loader context
+ * @param {string} source - Source content of the file
+ * @param {string} output - Generated code
+ * @param {Object} map - Source map of the source given by the previous loaders
+ * @returns {Object} Source map of the generated code
+ */
+function getOutputMap (_this, source, output, map) {
+  const frag = path.extname(_this.resourcePath).match(/\.hml/) ? parseFragment(source) : undefined
+  const start = getPosition(source, Math.max(source.search(/\S/), 0))
+  const getNodePosition = block => {
+    const location = block && block.node.__location
+    return location ? { line: location.line, column: location.col } : start
+  }
+  const positions = output.split(/\r?\n/).map(line => {
+    const block = line.match(/^var \$app_(template|style|script)\$ = /)
+    if (block && frag) {
+      return getNodePosition(frag[block[1]][0])
+    }
+    const element = line.match(/[?&]name=([^&!"]+)&parentPath=/)
+    if (element && frag) {
+      return getNodePosition(frag.element.find(item => item.name && item.name.toLowerCase() === element[1]))
+    }
+    return start
+  })
+  return generateLineMap(_this, source, positions, map)
+}
+
 /**
  * Determines if the current resource is the main application file
  * 
  * @param {Object} _this - Webpack loader context
+ * @param {Object} options - Loader options, see `getLoaderOptions`
  * @returns {boolean} True if the file is the main application file, false otherwise
  */
-function checkApp(_this) {
-  if (process.env.abilityType === 'testrunner') {
+function checkApp(_this, options) {
+  if (options.abilityType === 'testrunner') {
     return true;
   }
-  return _this.resourcePath === path.resolve(process.env.projectPath,
-    process.env.abilityType === 'page' ? 'app.js' : `${process.env.abilityType}.js`)
+  if (!options.projectPath) {
+    return false;
+  }
+  return _this.resourcePath === path.resolve(options.projectPath,
+    options.abilityType === 'page' ? 'app.js' : `${options.abilityType}.js`)
 }
 
 /**
@@ -318,24 +500,24 @@ function checkApp(_this) {
  * @param {Object} _this - Webpack loader context
  * @param {string} name - Application name
  * @param {boolean} isEntry - Whether this is an entry point
- * @param {string} customLang - Custom language setting
+ * @param {Object} options - Loader options, see `getLoaderOptions`
  * @param {string} source - Source content of the file
  * @returns {string} Generated output code for the application
  */
-function loadApp (_this, name, isEntry, customLang, source) {
+function loadApp (_this, name, isEntry, options, source) {
   let output = ''
   let extcss = false
-  if (checkApp(_this)) {
+  if (checkApp(_this, options)) {
     const filename = _this.resourcePath.replace(path.extname(_this.resourcePath).toString(), '')
      // find css
     const cssFileName = filename + '.css'
-    if (!fs.existsSync(cssFileName)) {
+    if (!trackFileExists(_this, cssFileName)) {
       extcss = false
     }
     else {
       extcss = true
       output += 'var $app_style$ = ' + getRequireString(_this, getLoaderString('style', {
-        customLang,
+        options,
         lang: undefined,
         element: undefined,
         elementName: undefined,
@@ -343,7 +525,7 @@ function loadApp (_this, name, isEntry, customLang, source) {
       }), cssFileName)
     }
     output += 'var $app_script$ = ' + getRequireString(_this, getLoaderString('script', {
-      customLang,
+      options,
       lang: undefined,
       element: undefined,
       elementName: undefined,
@@ -351,7 +533,7 @@ function loadApp (_this, name, isEntry, customLang, source) {
       app: true
     }), _this.resourcePath)
 
-    if (process.env.DEVICE_LEVEL === DEVICE_LEVEL.RICH || process.env.DEVICE_LEVEL === 'card') {
+    if (options.deviceLevel === DEVICE_LEVEL.RICH || options.deviceLevel === 'card') {
       output += `
       $app_define$('@app-application/${name}', [], function($app_require$, $app_exports$, $app_module$) {
       ` + `
@@ -369,7 +551,7 @@ function loadApp (_this, name, isEntry, customLang, source) {
         output += `$app_bootstrap$('@app-application/${name}'` + ',undefined' + ',undefined' + `)`
       }
     }
-    if (process.env.DEVICE_LEVEL === DEVICE_LEVEL.LITE) {
+    if (options.deviceLevel === DEVICE_LEVEL.LITE) {
       output += `var options=$app_script$\n if ($app_script$.__esModule) {\n
         options = $app_script$.default;\n }\n` +
       (extcss ? `options.styleSheet=$app_style$\n` : ``) +
@@ -387,16 +569,18 @@ function loadApp (_this, name, isEntry, customLang, source) {
  * Main function for loading and processing a page/component
  * Coordinates the loading of all associated resources (template, CSS, JS)
  * and generates the final output code for either Rich or Lite device level
+ * Inline or `src` referenced `<template>`, `<style>` and `<script>` blocks are used
+ * in place of the whole file and the sibling files
  * 
  * @param {Object} _this - Webpack loader context
  * @param {string} name - Name of the component/page
  * @param {boolean} isEntry - Whether this is an entry point
- * @param {string} customLang - Custom language setting
+ * @param {Object} options - Loader options, see `getLoaderOptions`
  * @param {string} source - Source content of the file
  * @param {string} parentPath - Path of the parent component
  * @returns {string} Generated output code for the component
  */
-function loadPage (_this, name, isEntry, customLang, source, parentPath) {
+function loadPage (_this, name, isEntry, options, source, parentPath) {
   let output = ''
   if (path.extname(_this.resourcePath).match(/\.hml/)) {
     const filename = _this.resourcePath.replace(path.extname(_this.resourcePath).toString(), '')
@@ -407,33 +591,117 @@ function loadPage (_this, name, isEntry, customLang, source, parentPath) {
     const elementNames = []
     const elementLength = frag.element.length
     output += loadPageCheckElementLength(_this, elementLength, frag, elementNames, resourcePath,
-      customLang, parentPath);
+      options, parentPath);
 
-    output += 'var $app_template$ = ' + getRequireString(_this, getLoaderString('template', {
-      customLang,
-      lang: undefined,
+    // an inline or `src` <template> block wins over the whole file
+    const inlineElement = isElement ? name : undefined
+    const templateConfig = {
       element: isElement,
-      elementName: isElement ? name : undefined,
-      source: _this.resourcePath
-    }), _this.resourcePath)
+      elementName: inlineElement
+    }
+    const templateRequire = frag.template.length ?
+      loadPageBlock(_this, 'template', frag.template, options, templateConfig) :
+      getRequireString(_this, getLoaderString('template', Object.assign({
+        options,
+        lang: undefined,
+        source: _this.resourcePath,
+        extract: frag.element.some(element => !element.src),
+        inlineElement
+      }, templateConfig)), inlineElement ? `${_this.resourcePath}?name=${inlineElement}` : _this.resourcePath)
+    if (!templateRequire) {
+      return ''
+    }
+    output += 'var $app_template$ = ' + templateRequire
 
-    // find css
-    const cssContent = loadPageFindCss(_this, filename, customLang)
-    const extcss = cssContent.extcss
-    output += cssContent.output
+    // find css, an inline or `src` <style> block wins over the sibling style files
+    const cssContent = loadPageFindCss(_this, filename, options)
+    let extcss = cssContent.extcss
+    if (frag.style.length) {
+      checkSiblingFile(_this, 'style', extcss && cssContent.source)
+      const styleRequire = loadPageBlock(_this, 'style', frag.style, options, { elementName: inlineElement })
+      extcss = !!styleRequire
+      output += styleRequire ? 'var $app_style$ = ' + styleRequire : ''
+    } else {
+      output += cssContent.output
+    }
 
-    // find js
-    const scriptContent = loadPageFindJs(_this, filename, customLang)
-    const extscript = scriptContent.extscript
-    output += scriptContent.output
+    // find js, an inline or `src` <script> block wins over the sibling script file
+    let extscript
+    if (frag.script.length) {
+      checkSiblingFile(_this, 'script', trackFileExists(_this, filename + '.js') && filename + '.js')
+      const scriptRequire = loadPageBlock(_this, 'script', frag.script, options, { elementName: inlineElement })
+      extscript = !!scriptRequire
+      output += scriptRequire ? 'var $app_script$ = ' + scriptRequire : ''
+    } else {
+      const scriptContent = loadPageFindJs(_this, filename, options)
+      extscript = scriptContent.extscript
+      output += scriptContent.output
+    }
 
-    output += process.env.DEVICE_LEVEL === DEVICE_LEVEL.RICH ? loadPageCheckRich(name, extscript, extcss, isEntry) :
-      loadPageCheckLite(extscript, extcss)
-    return output
+    if (options.deviceLevel !== DEVICE_LEVEL.RICH) {
+      return output + loadPageCheckLite(extscript, extcss)
+    }
+    const hot = options.hot ? loadPageHot(_this, name, output) : ''
+    return output + loadPageCheckRich(name, extscript, extcss, isEntry, hot)
   }
   return output
 }
 
+/**
+ * Generates the require statement for a `<template>`, `<style>` or `<script>` block of a
+ * single-file component. Blocks with a `src` attribute require that file, inline blocks
+ * require the component itself with a resource query selecting the block.
+ * Only the first block of each type is used.
+ * 
+ * @param {Object} _this - Webpack compilation context
+ * @param {string} type - Block type (template/style/script)
+ * @param {Array} blocks - Blocks of this type collected by `parseFragment`
+ * @param {Object} options - Loader options, with the custom language loaders keyed by language
+ * @param {Object} config - Additional configuration passed to the loader string, with
+ *                - elementName: name of the inline element the blocks belong to
+ * @returns {string} Generated require statement, or empty string if the `src` file does not exist
+ */
+function loadPageBlock (_this, type, blocks, options, config) {
+  const block = blocks[0]
+  if (blocks.length > 1) {
+    logWarn(_this, [createLog('LOADER-BLOCK-DUPLICATED', { type, count: blocks.length - 1 })])
+  }
+  if (block.src) {
+    const filePath = path.resolve(path.dirname(_this.resourcePath), block.src)
+    if (!trackFileExists(_this, filePath)) {
+      logWarn(_this, [createLog('LOADER-BLOCK-SRC-NOT-FOUND', { type, src: block.src })])
+      return ''
+    }
+    const ext = path.extname(filePath).slice(1)
+    return getRequireString(_this, getLoaderString(type, Object.assign({
+      options,
+      lang: block.lang || (options.lang[ext] ? ext : undefined),
+      source: filePath
+    }, config)), filePath)
+  }
+  const elementName = config && config.elementName
+  return getRequireString(_this, getLoaderString(type, Object.assign({
+    options,
+    lang: block.lang,
+    source: _this.resourcePath,
+    extract: true,
+    inlineElement: elementName
+  }, config)), `${_this.resourcePath}?${elementName ? `name=${elementName}&` : ''}block=${type}&index=0`)
+}
+
+/**
+ * Warns that a sibling file is ignored because the component has its own block of that type
+ * 
+ * @param {Object} _this - Webpack compilation context
+ * @param {string} type - Block type (style/script)
+ * @param {string|boolean} siblingFileName - Path of the sibling file, or false if there is none
+ */
+function checkSiblingFile (_this, type, siblingFileName) {
+  if (siblingFileName) {
+    logWarn(_this, [createLog('LOADER-SIBLING-FILE-IGNORED', { type, file: path.basename(siblingFileName) })])
+  }
+}
+
 /**
  * Processes custom elements in a template and generates corresponding require statements
  * Validates element configurations and checks for naming conflicts
@@ -443,14 +711,17 @@ function loadPage (_this, name, isEntry, customLang, source, parentPath) {
  * @param {Object} frag - Fragment containing element definitions
  * @param {Array} elementNames - Array to collect processed element names
  * @param {string} resourcePath - Path of the parent resource
- * @param {string} customLang - Custom language setting for loaders
+ * @param {Object} options - Loader options, see `getLoaderOptions`
  * @param {string} parentPath - Path of the parent component
  * @returns {string} Generated require statements for all valid elements
  */
 function loadPageCheckElementLength (_this, elementLength, frag, elementNames, resourcePath,
-  customLang, parentPath) {
+  options, parentPath) {
   let output = ''
   if (elementLength) {
+    const loaderQuery = loaderUtils.getOptions(_this) || {}
+    const resourceQuery = _this.resourceQuery && loaderUtils.parseQuery(_this.resourceQuery) || {}
+    const componentId = getComponentId(resourcePath, loaderQuery.element ? resourceQuery.name : undefined)
     for (let i = 0; i < elementLength; i++) {
       const element = frag.element[i]
       let src = resourcePath
@@ -460,117 +731,96 @@ function loadPageCheckElementLength (_this, elementLength, frag, elementNames, r
           src = src.concat('.hml')
         }
         const filePath = path.join(path.dirname(resourcePath), src)
-        if (!fs.existsSync(filePath) && src.match(/^(\/|\.)/)) {
-          logWarn(_this, [{
-            reason: 'ERROR: The file path of custom element does not exist, src: ' + src
-          }])
+        if (!trackFileExists(_this, filePath) && src.match(/^(\/|\.)/)) {
+          logWarn(_this, [createLog('LOADER-ELEMENT-SRC-NOT-FOUND', { src })])
           return ''
         }
         if (!element.name) {
           element.name = path.parse(src).name
         }
         element.name = element.name.toLowerCase();
-        elements[parentPath] = elements[parentPath] || {};
-        if (elements[parentPath][element.name]) {
-          logWarn(_this, [{
-            reason: `ERROR: The element name can not be same with the page ` +
-              `"${element.name}" (ignore case).`
-          }]);
-        } else {
-          elements[parentPath][element.name] = true;
-        }
-        checkEntry(_this, filePath, element.src)
+        checkElementName(_this, parentPath, componentId, element.name, filePath, options)
+        checkEntry(_this, filePath, element.src, options)
+      }
+      else if (element.name) {
+        // inline element, compiled from its own content in this file
+        element.name = element.name.toLowerCase();
+        checkElementName(_this, parentPath, componentId, element.name,
+          getComponentId(resourcePath, element.name), options)
       }
       else {
-        logWarn(_this, [{
-          reason: 'ERROR: src attributes must be set for custom elements.'
-        }])
+        logWarn(_this, [createLog('LOADER-ELEMENT-SRC-MISSING')])
         return ''
       }
       elementNames.push(element.name)
       output += getRequireString(_this, getLoaderString('element', {
-        customLang,
+        options,
         name: element.name,
-        source: src
+        source: element.src ? src : undefined
       }), `${src}?name=${element.name}&parentPath=${parentPath}`)
     }
   }
   return output
 }
 
+/**
+ * Registers a custom element of a component and reports the names used twice in a page
+ * 
+ * @param {Object} _this - Webpack compilation context
+ * @param {string} parentPath - Path of the page the element belongs to
+ * @param {string} componentId - Id of the component using the element
+ * @param {string} name - Lower-cased element name
+ * @param {string} elementId - Id of the element
+ * @param {Object} options - Loader options, see `getLoaderOptions`
+ */
+function checkElementName (_this, parentPath, componentId, name, elementId, options) {
+  const registry = getComponentRegistry(_this._compilation, options.target)
+  registry.addElement(componentId, name, elementId)
+  if (!registry.claimName(parentPath, name)) {
+    logWarn(_this, [createLog('LOADER-ELEMENT-NAME-DUPLICATED', { name })]);
+  }
+}
+
 /**
  * Checks for and loads CSS or preprocessor style files associated with a component/page
- * Supports CSS, LESS, SCSS, and SASS file formats
- * Generates the require statement for the style file if found
+ * Probes `.css` first, then one extension per configured style language (less, scss, sass, the
+ * keys of the `lang` option in `styleLangs`, e.g. `.styl` for a `styl` entry, and the ones marked
+ * with `style: true`, see `getLoaderOptions`)
+ * Generates the require statement for the first style file found
+ * Every probed path is tracked, so adding or removing a style file triggers a rebuild
  * 
  * @param {Object} _this - Webpack compilation context
  * @param {string} filename - Base filename (without extension)
- * @param {string} customLang - Custom language setting for the loader
+ * @param {Object} options - Loader options, with the custom language loaders keyed by language
  * @returns {Object} Returns an object containing:
  *   - extcss: boolean indicating if any style file exists
+ *   - source: path of the style file found
  *   - output: generated require statement or empty string
  */
-function loadPageFindCss (_this, filename, customLang) {
+function loadPageFindCss (_this, filename, options) {
   let output = ''
   let extcss = false
-  const cssFileName = filename + '.css'
-  if (fs.existsSync(cssFileName)) {
-    extcss = true
-    output = 'var $app_style$ = ' + getRequireString(_this, getLoaderString('style', {
-      customLang,
-      lang: undefined,
-      element: undefined,
-      elementName: undefined,
-      source: cssFileName
-    }), cssFileName)
-  }
-  else {
-    // find less
-    const lessFileName = filename + '.less'
-    if (fs.existsSync(lessFileName)) {
+  let source
+  const langs = [undefined].concat(Object.keys(options.lang || {}).filter(lang =>
+    styleLangs.indexOf(lang) !== -1 || options.lang[lang].some(item => item.style)))
+  for (const lang of langs) {
+    const styleFileName = filename + '.' + (lang || 'css')
+    if (trackFileExists(_this, styleFileName)) {
       extcss = true
+      source = styleFileName
       output = 'var $app_style$ = ' + getRequireString(_this, getLoaderString('style', {
-        customLang,
-        lang: 'less',
+        options,
+        lang,
         element: undefined,
         elementName: undefined,
-        source: lessFileName
-      }), lessFileName)
-    }
-    else {
-      // find scss
-      const scssFileName = filename + '.scss'
-      if (fs.existsSync(scssFileName)) {
-        extcss = true
-        output = 'var $app_style$ = ' + getRequireString(_this, getLoaderString('style', {
-          customLang,
-          lang: 'scss',
-          element: undefined,
-          elementName: undefined,
-          source: scssFileName
-        }), scssFileName)
-      }
-      else {
-        // find sass
-        const sassFileName = filename + '.sass'
-        if (fs.existsSync(sassFileName)) {
-          extcss = true
-          output = 'var $app_style$ = ' + getRequireString(_this, getLoaderString('style', {
-            customLang,
-            lang: 'sass',
-            element: undefined,
-            elementName: undefined,
-            source: sassFileName
-          }), sassFileName)
-        }
-        else {
-          extcss = false
-        }
-      }
+        source: styleFileName
+      }), styleFileName)
+      break
     }
   }
   return {
     extcss: extcss,
+    source: source,
     output: output
   }
 }
@@ -578,26 +828,28 @@ function loadPageFindCss (_this, filename, customLang) {
 /**
  * Checks for and loads a JavaScript file associated with a component/page
  * Generates the require statement for the JS file if it exists
+ * The probed path is tracked, so adding or removing the JS file triggers a rebuild,
+ * a missing JS file is reported as a note which the `severity` option can promote
  * 
  * @param {Object} _this - Webpack compilation context
  * @param {string} filename - Base filename (without extension) 
- * @param {string} customLang - Custom language setting for the loader
+ * @param {Object} options - Loader options, see `getLoaderOptions`
  * @returns {Object} Returns an object containing:
  *   - extscript: boolean indicating if JS file exists
  *   - output: generated require statement or empty string
  */
-function loadPageFindJs (_this, filename, customLang) {
+function loadPageFindJs (_this, filename, options) {
   let output = ''
   let extscript = false
   const jsFileName = filename + '.js'
-  if (!fs.existsSync(jsFileName)) {
+  if (!trackFileExists(_this, jsFileName)) {
     extscript = false
-    console.log('missing ' + jsFileName)
+    logWarn(_this, [createLog('LOADER-PAGE-SCRIPT-MISSING', { file: jsFileName })])
   }
   else {
     extscript = true
     output = 'var $app_script$ = ' + getRequireString(_this, getLoaderString('script', {
-      customLang,
+      options,
       lang: undefined,
       element: undefined,
       elementName: undefined,
@@ -618,9 +870,10 @@ function loadPageFindJs (_this, filename, customLang) {
  * @param {boolean} extscript - Whether the component has an external script
  * @param {boolean} extcss - Whether the component has external CSS 
  * @param {boolean} isEntry - Whether this is an entry component
+ * @param {string} hot - Hot module replacement handlers given by `loadPageHot`, with the `hot` option
  * @returns {string} Generated component definition and bootstrap code
  */
-function loadPageCheckRich (name, extscript, extcss, isEntry) {
+function loadPageCheckRich (name, extscript, extcss, isEntry, hot) {
   let output = ''
   output += `
 $app_define$('@app-component/${name}', [], function($app_require$, $app_exports$, $app_module$) {
@@ -633,15 +886,55 @@ $app_module$.exports = $app_exports$.default
 $app_module$.exports.template = $app_template$
 ` + (extcss ? `
 $app_module$.exports.style = $app_style$
+` : '') + (hot ? `
+$app_hot$.register('@app-component/${name}', $app_module$.exports)
 ` : '') + `
 })
 `
+  if (hot) {
+    // the component can be defined again when its script changes
+    output = `${hot}var $app_hot_define$ = function () {${output}}
+$app_hot_define$()
+`
+  }
   if (isEntry) {
     output += `$app_bootstrap$('@app-component/${name}'` + ',undefined' + ',undefined' + `)`
   }
   return output
 }
 
+/**
+ * Generates the hot module replacement handlers of a Rich page or element: a new template
+ * or style is patched into the component without running its script, a new script
+ * defines the component again, see `src/hot.js`
+ *
+ * @param {Object} _this - Webpack loader context
+ * @param {string} name - Component name
+ * @param {string} output - Generated code requiring the template, style and script of the component
+ * @returns {string} Generated code, put before the definition of the component
+ */
+function loadPageHot (_this, name, output) {
+  const requests = {}
+  output.replace(/^var \$app_(template|style|script)\$ = require\((.+)\)$/gm, (line, type, request) => {
+    requests[type] = request
+  })
+  const component = `@app-component/${name}`
+  const patched = ['template', 'style'].filter(type => requests[type])
+  return `var $app_hot$ = require(${loaderUtils.stringifyRequest(_this, '!!' + path.join(loaderPath, 'hot.js'))})
+if (module.hot) {
+` + (patched.length ? `  module.hot.accept([${patched.map(type => requests[type]).join(', ')}], function () {
+` + patched.map(type => `    $app_${type}$ = require(${requests[type]})
+`).join('') +
+`    $app_hot$.patch('${component}', { ${patched.map(type => `${type}: $app_${type}$`).join(', ')} })
+  })
+` : '') + (requests.script ? `  module.hot.accept(${requests.script}, function () {
+    $app_script$ = require(${requests.script})
+    $app_hot$.reload('${component}', $app_hot_define$)
+  })
+` : '') + `}
+`
+}
+
 /**
  * Generates the page initialization code for Lite mode
  * Combines script, style, and template components into a ViewModel instance
@@ -660,6 +953,7 @@ function loadPageCheckLite (extscript, extcss) {
 for (const key in legacy) {
   loader[key] = legacy[key]
 }
+loader.getTargetEntries = getTargetEntries
 
 /**
  * Checks if the given file path is an entry file and issues a warning if true
@@ -667,17 +961,15 @@ for (const key in legacy) {
  * @param {Object} _this - Webpack compilation context object containing build information
  * @param {string} filePath - Absolute file path to check
  * @param {string} elementSrc - Page path from config file, used for warning message
+ * @param {Object} options - Loader options, see `getLoaderOptions`
  */
-function checkEntry(_this, filePath, elementSrc) {
-  if (_this._compilation.entries) {
+function checkEntry(_this, filePath, elementSrc, options) {
+  if (_this._compilation.entries && options.projectPath) {
     for (var key of _this._compilation.entries.keys()) {
-      const entryPath = path.join(path.resolve(process.env.projectPath), key + '.hml');
+      const entryPath = path.join(path.resolve(options.projectPath),
+        getEntryName(key, options.target) + '.hml');
       if (entryPath === filePath) {
-        logWarn(_this, [{
-          reason: `WARNING: The page "${elementSrc}" configured in 'config.json'` +
-            ` can not be uesd as a custom component.` +
-            `To ensure that the debugging function is normal, please delete this page in 'config.json'.`
-        }]);
+        logWarn(_this, [createLog('LOADER-PAGE-AS-ELEMENT', { src: elementSrc })]);
       }
     }
   }
@@ -0,0 +1,136 @@
+/*
+ * Copyright (c) 2023 Huawei Device Co., Ltd.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Catalog of the messages of the loader, keyed by stable codes which can be searched,
+ * suppressed and documented. Each message has its default severity and builds its text
+ * from the parameters of the log.
+ * The messages of the styles are in the catalog of the styler, `styler/lib/messages.js`,
+ * with codes starting with `STYLE-`.
+ */
+export const MESSAGES = {
+  // options
+  'LOADER-OPTION-INVALID': {
+    severity: 'ERROR',
+    text: p => `${p.source} must be ${p.expected}, got ${JSON.stringify(p.value)}.`
+  },
+  'LOADER-LANG-INVALID': {
+    severity: 'ERROR',
+    text: () => 'The `lang` option of weex-loader must be an object mapping a language to its loaders.'
+  },
+  'LOADER-LANG-LOADER-INVALID': {
+    severity: 'ERROR',
+    text: p => `The loaders configured for lang "${p.lang}" must be a loader name, ` +
+      'an object like { loader, options, style } or an array of them.'
+  },
+  'LOADER-LANG-LOADER-NOT-FOUND': {
+    severity: 'ERROR',
+    text: p => `Can not resolve the loader "${p.loader}" configured for lang "${p.lang}". ` +
+      'Please make sure it is installed in the project.'
+  },
+
+  // components
+  'LOADER-RESERVED-NAME': {
+    severity: 'ERROR',
+    text: p => 'The file name cannot contain reserved tag name: ' + p.name
+  },
+  'LOADER-BLOCK-DUPLICATED': {
+    severity: 'WARNING',
+    text: p => `Only the first <${p.type}> block is compiled, the other ${p.count} are ignored.`
+  },
+  'LOADER-BLOCK-SRC-NOT-FOUND': {
+    severity: 'ERROR',
+    text: p => `The file path of the <${p.type}> block does not exist, src: ${p.src}`
+  },
+  'LOADER-SIBLING-FILE-IGNORED': {
+    severity: 'WARNING',
+    text: p => `The <${p.type}> block of this file is used, the file "${p.file}" next to it is ignored.`
+  },
+  'LOADER-ELEMENT-SRC-NOT-FOUND': {
+    severity: 'ERROR',
+    text: p => 'The file path of custom element does not exist, src: ' + p.src
+  },
+  'LOADER-ELEMENT-SRC-MISSING': {
+    severity: 'ERROR',
+    text: () => 'src attributes must be set for custom elements, ' +
+      'or name attributes for the elements defined inline.'
+  },
+  'LOADER-ELEMENT-NAME-DUPLICATED': {
+    severity: 'ERROR',
+    text: p => `The element name can not be same with the page "${p.name}" (ignore case).`
+  },
+  'LOADER-PAGE-SCRIPT-MISSING': {
+    severity: 'NOTE',
+    text: p => `The script of the page is missing: ${p.file}`
+  },
+  'LOADER-PAGE-AS-ELEMENT': {
+    severity: 'WARNING',
+    text: p => `The page "${p.src}" configured in 'config.json' can not be uesd as a custom component.` +
+      `To ensure that the debugging function is normal, please delete this page in 'config.json'.`
+  },
+
+  // compilation of the blocks
+  'LOADER-TEMPLATE-PARSE-FAILED': {
+    severity: 'ERROR',
+    text: p => 'Failed to parse the HML file. ' + p.error
+  },
+  'LOADER-STYLE-PARSE-FAILED': {
+    severity: 'ERROR',
+    text: p => 'Failed to parse the CSS file. ' + p.error
+  },
+  'LOADER-SCRIPT-PARSE-FAILED': {
+    severity: 'ERROR',
+    text: p => 'Failed to parse the JS file. ' + p.error
+  },
+  'LOADER-JSON-PARSE-FAILED': {
+    severity: 'ERROR',
+    text: p => 'Failed to parse the file : ' + p.file + `\n${p.error}`
+  },
+
+  // suppression comments, see `src/suppressions.js`
+  'LOADER-SUPPRESSION-UNUSED': {
+    severity: 'WARNING',
+    text: p => (p.code === '*' ? 'No diagnostic is reported where this comment suppresses them' :
+      `\`${p.code}\` is not reported where this comment suppresses it`) + ', the comment can be removed.'
+  }
+}
+
+// severity prefix of the reason of a log, of the loader, the templater or the styler
+export const SEVERITY_REG = /^(NOTE|WARN(?:ING)?|ERROR)\s*:?\s*/
+
+/**
+ * Build the reason of a log, its text prefixed with its severity
+ * @param {string} code
+ * @param {Object} params parameters of the text
+ * @returns {string}
+ */
+export function formatMessage (code, params) {
+  const message = MESSAGES[code]
+  return `${message.severity}: ${message.text(params || {})}`
+}
+
+/**
+ * Create a log of the loader, as given to `logWarn`
+ * @param {string} code
+ * @param {Object} params parameters of the text
+ * @param {Object} position line and column, if known
+ * @returns {Object} log with reason and code
+ */
+export function createLog (code, params, position) {
+  return Object.assign({}, position && { line: position.line, column: position.column }, {
+    reason: formatMessage(code, params),
+    code
+  })
+}
@@ -0,0 +1,304 @@
+/*
+ * Copyright (c) 2023 Huawei Device Co., Ltd.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import loaderUtils from 'loader-utils'
+
+import { createLog } from './messages'
+
+const DEVICE_LEVELS = ['rich', 'lite', 'card']
+
+/**
+ * Options of weex-loader, set in the webpack configuration:
+ *
+ *   { loader: 'weex-loader', options: { deviceLevel: 'card', abilityType: 'form', ... } }
+ *
+ * An option which is not set is read from its environment variable, then takes its default.
+ * Each entry gives the type of the option, its environment variable and its default.
+ */
+export const LOADER_OPTIONS = {
+  // kind of device the bundle runs on
+  deviceLevel: {
+    type: 'string',
+    enum: DEVICE_LEVELS,
+    env: 'DEVICE_LEVEL',
+    default: 'rich'
+  },
+  // device level of an entry when several are built in one run, it replaces `deviceLevel`
+  // and is given by the `target` resource query of the entry, see `getTargetEntries`
+  target: {
+    type: 'string',
+    enum: DEVICE_LEVELS
+  },
+  // type of the ability, the application script is `app.js` for `page`, `<abilityType>.js` otherwise
+  abilityType: {
+    type: 'string',
+    env: 'abilityType',
+    default: 'page'
+  },
+  // directory of the application script and the pages of the ability
+  projectPath: {
+    type: 'string',
+    env: 'projectPath'
+  },
+  // manifest of the application, once it exists the application script of a page ability gets it
+  aceManifestPath: {
+    type: 'string',
+    env: 'aceManifestPath'
+  },
+  // lowest level of the messages reported: 1 notes, 2 warnings, otherwise errors only. The errors
+  // are always reported, as they fail the build, and every message is written to the `diagnosticsFile`
+  logLevel: {
+    type: 'integer',
+    minimum: 0,
+    env: 'logLevel',
+    default: 1
+  },
+  // show the lines around the position of the messages and tag them with the target, when several
+  // device levels are built. False keeps the messages in the format of the tools parsing them
+  verboseLog: {
+    type: 'boolean',
+    env: 'verboseLog',
+    default: true
+  },
+  // severity of the messages by code, e.g. { 'STYLE-PROPERTY-UNKNOWN': 'error', 'STYLE-*': 'warning' }.
+  // A code ending with `*` sets the codes starting with it, `off` leaves the messages out
+  severity: {
+    type: 'object',
+    values: ['error', 'warning', 'note', 'off'],
+    env: 'logSeverity'
+  },
+  // report the warnings as errors, so that the build fails on them, except the codes set in `severity`
+  warningsAsErrors: {
+    type: 'boolean',
+    env: 'warningsAsErrors',
+    default: false
+  },
+  // emit the `module.hot.accept` handlers of the pages and elements of the rich device level,
+  // see `src/hot.js`
+  hot: {
+    type: 'boolean',
+    env: 'hotReload',
+    default: false
+  },
+  // file recording the style files imported with `@import`, read by the previewer
+  watchCSSFiles: {
+    type: 'string',
+    env: 'watchCSSFiles'
+  },
+  // directories searched last for the `@import` paths, after the `resolve.modules` of webpack
+  resolveModules: {
+    type: 'array',
+    items: 'string',
+    env: 'resolveModules'
+  },
+  // keep the `var()` of the styles for the runtime to resolve them, with the table of the custom
+  // properties of the page in `@VARIABLES`, so that the themes can be switched at runtime
+  runtimeVariables: {
+    type: 'boolean',
+    env: 'runtimeCssVariables',
+    default: false
+  },
+  // report the declarations of a selector overridden by another declaration of the same style
+  warnOverrides: {
+    type: 'boolean',
+    env: 'warnCssOverrides',
+    default: false
+  },
+  // file the diagnostics of each compilation are written to, see `src/diagnostics.js`
+  diagnosticsFile: {
+    type: 'string',
+    env: 'diagnosticsFile'
+  },
+  // format of the diagnostics file, `sarif` by default for the `.sarif` files, `json` otherwise
+  diagnosticsFormat: {
+    type: 'string',
+    enum: ['json', 'sarif'],
+    env: 'diagnosticsFormat'
+  }
+}
+
+/**
+ * Check a value against the schema of an option
+ * @param {*} value
+ * @param {Object} schema entry of `LOADER_OPTIONS`
+ * @returns {string|undefined} what the value must be, or undefined if it is valid
+ */
+function checkOption (value, schema) {
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        return 'a string'
+      }
+      if (schema.enum && schema.enum.indexOf(value) === -1) {
+        return 'one of ' + schema.enum.map(item => `"${item}"`).join(', ')
+      }
+      break
+    case 'integer':
+      if (!Number.isInteger(value) || value < schema.minimum) {
+        return `an integer not less than ${schema.minimum}`
+      }
+      break
+    case 'array':
+      if (!Array.isArray(value) || value.some(item => typeof item !== schema.items)) {
+        return `an array of ${schema.items}s`
+      }
+      break
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value) ||
+        Object.keys(value).some(key => schema.values.indexOf(value[key]) === -1)) {
+        return 'an object whose values are ' + schema.values.map(item => `"${item}"`).join(', ')
+      }
+      break
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return 'a boolean'
+      }
+      break
+  }
+}
+
+/**
+ * Convert the string of an environment variable to the type of its option
+ * @param {string} value
+ * @param {Object} schema entry of `LOADER_OPTIONS`
+ * @returns {*} the converted value, left as a string if it can not be converted
+ */
+function parseEnvValue (value, schema) {
+  if (schema.type === 'integer' && /^\s*-?\d+\s*$/.test(value)) {
+    return parseInt(value)
+  }
+  if (schema.type === 'boolean' && /^\s*(true|false)\s*$/.test(value)) {
+    return value.trim() === 'true'
+  }
+  if (schema.type === 'array' || schema.type === 'object') {
+    try {
+      return JSON.parse(value)
+    }
+    catch (e) {
+      return value
+    }
+  }
+  return value
+}
+
+/**
+ * Resolve the options of weex-loader: each option comes from the loader query, then from its
+ * environment variable, then from its default. Invalid values are reported and replaced
+ * by the default.
+ * @param {Object} query options given to the loader
+ * @param {Object} env environment variables, `process.env` by default
+ * @returns {Object} `options` with every option of `LOADER_OPTIONS`, and the logs of the `errors` found
+ */
+export function resolveOptions (query, env) {
+  query = query || {}
+  env = env || process.env
+  const options = {}
+  const errors = []
+  Object.keys(LOADER_OPTIONS).forEach(name => {
+    const schema = LOADER_OPTIONS[name]
+    let value = query[name]
+    let source = `The option \`${name}\` of weex-loader`
+    if (value === undefined && schema.env && env[schema.env] !== undefined && env[schema.env] !== '') {
+      value = parseEnvValue(env[schema.env], schema)
+      source = `The environment variable \`${schema.env}\``
+    }
+    if (value !== undefined) {
+      const expected = checkOption(value, schema)
+      if (expected) {
+        errors.push(createLog('LOADER-OPTION-INVALID', { source, expected, value }))
+        value = undefined
+      }
+    }
+    options[name] = value === undefined ? schema.default : value
+  })
+  if (options.target) {
+    options.deviceLevel = options.target
+  }
+  return { options, errors }
+}
+
+/**
+ * Get the options given to the loader running, with the `target` of an entry built for
+ * several device levels, which is set in its resource query
+ * @param {Object} loader webpack loader context
+ * @returns {Object}
+ */
+export function getLoaderQuery (loader) {
+  const resourceQuery = loader.resourceQuery && loaderUtils.parseQuery(loader.resourceQuery) || {}
+  return Object.assign({}, loaderUtils.getOptions(loader),
+    resourceQuery.target && { target: resourceQuery.target })
+}
+
+/**
+ * Get the resolved options of the loader running, see `resolveOptions`
+ * @param {Object} loader webpack loader context
+ * @returns {Object}
+ */
+export function getResolvedOptions (loader) {
+  return resolveOptions(getLoaderQuery(loader)).options
+}
+
+/**
+ * Pick the options set in a loader query, to pass them on to the loaders of the
+ * requests it generates
+ * @param {Object} query
+ * @returns {Object}
+ */
+export function pickOptions (query) {
+  const picked = {}
+  Object.keys(LOADER_OPTIONS).forEach(name => {
+    if (query && query[name] !== undefined) {
+      picked[name] = query[name]
+    }
+  })
+  return picked
+}
+
+/**
+ * Expand webpack entries to build them once per device level in a single run, e.g.
+ *
+ *   entry: getTargetEntries({ 'pages/index': './pages/index.hml?entry' }, ['rich', 'lite'])
+ *
+ * gives the entries `rich/pages/index` and `lite/pages/index`, each compiled for its device level,
+ * so that `[name].js` emits one bundle per target. Their diagnostics are tagged with the target.
+ * @param {Object} entry requests, or arrays of requests, keyed by entry name
+ * @param {Array<string>} targets device levels to build
+ * @returns {Object} entries keyed by `<target>/<name>`
+ */
+export function getTargetEntries (entry, targets) {
+  const entries = {}
+  targets.forEach(target => {
+    if (DEVICE_LEVELS.indexOf(target) === -1) {
+      throw new Error(`Unknown target "${target}", it must be one of ${DEVICE_LEVELS.join(', ')}.`)
+    }
+    Object.keys(entry).forEach(name => {
+      const requests = [].concat(entry[name]).map(request =>
+        `${request}${request.indexOf('?') === -1 ? '?' : '&'}target=${target}`)
+      entries[`${target}/${name}`] = Array.isArray(entry[name]) ? requests : requests[0]
+    })
+  })
+  return entries
+}
+
+/**
+ * Get the name an entry has in the webpack configuration, without the target added by
+ * `getTargetEntries`
+ * @param {string} name entry name
+ * @param {string} target device level of the entry, if several are built
+ * @returns {string}
+ */
+export function getEntryName (name, target) {
+  return target && name.indexOf(`${target}/`) === 0 ? name.slice(target.length + 1) : name
+}
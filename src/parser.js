@@ -112,6 +112,106 @@ export function parseFragment (source) {
   return output
 }
 
+/**
+ * Get the position of an offset as 1-based line and column
+ * @param {string} source
+ * @param {number} offset
+ * @returns {Object} line and column
+ */
+export function getPosition (source, offset) {
+  const before = source.slice(0, offset)
+  const lines = before.split(/\r?\n/)
+  return {
+    line: lines.length,
+    column: lines[lines.length - 1].length + 1
+  }
+}
+
+/**
+ * Get the raw content of a block between its start and end tags
+ * @param {string} source
+ * @param {Object} block the block collected by `parseFragment`
+ * @returns {Object} content, lang, src, name, the offsets of the content and the line and column where it starts
+ */
+function getBlockContent (source, block) {
+  const location = block.node.__location || block.node.sourceCodeLocation
+  let content = ''
+  let start = 0
+  let end = 0
+  let position = { line: 1, column: 1 }
+  if (location && location.startTag) {
+    start = location.startTag.endOffset
+    end = location.endTag ? location.endTag.startOffset : location.endOffset
+    content = source.slice(start, end)
+    position = getPosition(source, start)
+  }
+  return {
+    name: block.name,
+    lang: block.lang,
+    src: block.src,
+    content,
+    start,
+    end,
+    line: position.line,
+    column: position.column
+  }
+}
+
+/**
+ * Extract the `<template>`, `<style>`, `<script>` or `<element>` blocks of a single-file component
+ * With type `elements`, the inline elements (without `src`) are returned keyed by their name
+ * @param {string} source
+ * @param {string} type template|style|script|element|elements
+ * @returns {Promise<Array|Object>} blocks with content, lang, src and where the content starts
+ */
+export function extractBlocks (source, type) {
+  return new Promise((resolve, reject) => {
+    const frag = parseFragment(source)
+    if (type === 'elements') {
+      const elements = {}
+      frag.element.forEach(block => {
+        if (block.name && !block.src) {
+          elements[block.name.toLowerCase()] = getBlockContent(source, block)
+        }
+      })
+      resolve(elements)
+      return
+    }
+    if (!frag[type]) {
+      reject(new Error(`Unknown block type "${type}".`))
+      return
+    }
+    resolve(frag[type].map(block => getBlockContent(source, block)))
+  })
+}
+
+/**
+ * Pad the content of an extracted block so that its lines and columns match the original file
+ * @param {Object} block the block returned by `extractBlocks`
+ * @returns {string}
+ */
+export function padBlockContent (block) {
+  return '\n'.repeat(block.line - 1) + ' '.repeat(block.column - 1) + block.content
+}
+
+/**
+ * Blank the content of the inline `<element>` blocks, keeping the line breaks so that
+ * the positions of the rest of the file do not change
+ * @param {string} source
+ * @returns {Promise<string>}
+ */
+export function blankInlineElements (source) {
+  return extractBlocks(source, 'elements').then(elements => {
+    Object.keys(elements)
+      .map(name => elements[name])
+      .sort((a, b) => b.start - a.start)
+      .forEach(block => {
+        source = source.slice(0, block.start) + block.content.replace(/[^\r\n]/g, ' ') + source.slice(block.end)
+      })
+    return source
+  })
+}
+
 export function parseTemplate (source, resourcePath) {
   return new Promise((resolve, reject) => {
     templater.parse(source, (err, obj) => {
@@ -128,7 +228,7 @@ export function parseTemplate (source, resourcePath) {
   })
 }
 
-export function parseStyle (source, resourcePath) {
+export function parseStyle (source, resourcePath, options) {
   return new Promise((resolve, reject) => {
     styler.parse(source, (err, obj) => {
       if (err) {
@@ -136,9 +236,9 @@ export function parseStyle (source, resourcePath) {
       }
       else {
         const parsed = JSON.stringify(obj.jsonStyle, null, 2)
-        resolve({ parsed, log: obj.log })
+        resolve({ parsed, log: obj.log, imports: obj.imports, missing: obj.missing, variables: obj.variables })
       }
-    }, resourcePath)
+    }, resourcePath, options)
   })
 }
 
@@ -148,3 +248,176 @@ export function parseScript (source) {
     resolve({ parsed })
   })
 }
+
+/**
+ * Collect the elements of a template in document order, with the positions of their start tag
+ * and of their attributes
+ * @param {Object} node parse5 node
+ * @param {Array<Object>} elements
+ * @returns {Array<Object>} elements with tagName, position and attrs
+ */
+function collectElements (node, elements) {
+  const children = (node.content || node).childNodes || []
+  children.forEach(child => {
+    if (child.tagName) {
+      const location = child.__location || {}
+      const startTag = location.startTag || location
+      elements.push({
+        tagName: child.tagName,
+        position: { line: startTag.line || 1, column: startTag.col || 1 },
+        attrs: startTag.attrs || location.attrs || {}
+      })
+      collectElements(child, elements)
+    }
+  })
+  return elements
+}
+
+// attributes a key of the template JSON comes from, besides the key itself
+const TEMPLATE_KEY_ATTRIBUTES = {
+  classList: ['class'],
+  repeat: ['for'],
+  shown: ['show']
+}
+
+const JSON_KEY_REG = /^\s*"((?:[^"\\]|\\.)*)":/
+const JSON_TYPE_REG = /^\s*"type": "((?:[^"\\]|\\.)*)"/
+
+function hyphenate (name) {
+  return name.replace(/([A-Z])/g, '-$1').toLowerCase()
+}
+
+/**
+ * Walk the lines of a JSON generated from a source, and find where each line comes from.
+ * Lines are nested by their indent, a key is searched within the entry of its parent.
+ * @param {string} json pretty printed JSON
+ * @param {function} find called with the key of a line, the entry of its parent and the line,
+ *                        returns the entry of the key or undefined
+ * @param {Object} root entry of the whole JSON
+ * @returns {Array<Object>} position of each line
+ */
+function walkJsonLines (json, find, root) {
+  const stack = [Object.assign({ indent: -1 }, root)]
+  return json.split(/\r?\n/).map(line => {
+    const indent = line.search(/\S/)
+    const match = line.match(JSON_KEY_REG)
+    while (stack.length > 1 && (stack[stack.length - 1].indent > indent ||
+      match && stack[stack.length - 1].indent === indent)) {
+      stack.pop()
+    }
+    const parent = stack[stack.length - 1]
+    if (!match) {
+      return parent.position
+    }
+    const entry = Object.assign({}, parent, { indent }, find(JSON.parse(`"${match[1]}"`), parent, line))
+    stack.push(entry)
+    return entry.position
+  })
+}
+
+/**
+ * Find where each line of the JSON of a template comes from: the start tag of its element,
+ * or the attribute its key or its expression is written in
+ * @param {string} source template given to the templater
+ * @param {string} parsed template JSON
+ * @param {Object} start line and column of the source in the file, if it does not start the file
+ * @returns {Array<Object>} position of each line in the file
+ */
+export function getTemplatePositions (source, parsed, start) {
+  const elements = collectElements(parse5.parseFragment(source, { locationInfo: true }), [])
+  let next = 0
+  const root = { position: elements.length ? elements[0].position : { line: 1, column: 1 } }
+  const positions = walkJsonLines(parsed, (key, parent, line) => {
+    const type = line.match(JSON_TYPE_REG)
+    if (type) {
+      for (let i = next; i < elements.length; i++) {
+        if (elements[i].tagName === type[1].toLowerCase()) {
+          next = i + 1
+          // the element holds the other keys of its object, which have the indent of `type`
+          return { indent: line.search(/\S/) - 1, element: elements[i], position: elements[i].position }
+        }
+      }
+      return
+    }
+    if (parent.element) {
+      const attrs = parent.element.attrs
+      const name = [key, hyphenate(key), 'on' + key, '@' + key]
+        .concat(TEMPLATE_KEY_ATTRIBUTES[key] || [])
+        .find(name => attrs[name])
+      if (name) {
+        return { position: { line: attrs[name].line, column: attrs[name].col } }
+      }
+    }
+  }, root)
+  return start ? positions.map(position => position && offsetPosition(position, start)) : positions
+}
+
+/**
+ * Get the position in the file of a position in a part of it
+ * @param {Object} position line and column in the part
+ * @param {Object} start line and column where the part starts in the file
+ * @returns {Object} line and column in the file
+ */
+export function offsetPosition (position, start) {
+  return {
+    line: position.line + start.line - 1,
+    column: position.line === 1 && position.column ? position.column + start.column - 1 : position.column
+  }
+}
+
+/**
+ * Find a selector or a property in a style source
+ * @param {string} source
+ * @param {string} key key of the style JSON
+ * @param {number} from offset to search from
+ * @param {number} to offset to search until
+ * @returns {number} offset of the key, -1 if not found
+ */
+function findStyleKey (source, key, from, to) {
+  const candidates = [key]
+  // properties are camel cased, expanded from shorthands and suffixed with their pseudo class
+  let name = key.replace(/:.*$/, '')
+  if (/^[a-z]/.test(name)) {
+    candidates.push(hyphenate(name))
+    while (/[a-z0-9][A-Z]/.test(name)) {
+      name = name.replace(/[A-Z][a-z0-9]*$/, '')
+      candidates.push(hyphenate(name))
+    }
+  }
+  for (const candidate of candidates) {
+    const escaped = candidate.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    const reg = new RegExp(`(?:^|[^\\w-])(${escaped})(?![\\w-])`, 'g')
+    reg.lastIndex = from
+    const match = reg.exec(source)
+    if (match && match.index + match[0].length <= to) {
+      return match.index + match[0].length - match[1].length
+    }
+  }
+  return -1
+}
+
+/**
+ * Find where each line of the JSON of a style comes from: the selector of its rule,
+ * or the declaration of its property
+ * @param {string} source
+ * @param {string} parsed style JSON
+ * @returns {Array<Object>} position of each line in the source
+ */
+export function getStylePositions (source, parsed) {
+  const root = {
+    from: 0,
+    to: source.length,
+    position: getPosition(source, Math.max(source.search(/\S/), 0))
+  }
+  return walkJsonLines(parsed, (key, parent) => {
+    const offset = findStyleKey(source, key, parent.from, parent.to)
+    if (offset !== -1) {
+      const end = source.indexOf('}', offset)
+      return {
+        from: offset,
+        to: end === -1 ? source.length : end,
+        position: getPosition(source, offset)
+      }
+    }
+  }, root)
+}
@@ -0,0 +1,230 @@
+/*
+ * Copyright (c) 2023 Huawei Device Co., Ltd.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// compilation -> target -> registry
+const registries = new WeakMap()
+const defaultRegistries = new Map()
+
+// files requiring native modules and custom elements of the registries of the last compilation, in
+// the shape of the `useOSFiles` and `elements` exported by `util.js` for the build plugin of ace-loader:
+// the paths of the files, and the element names used by each file with the `parent` of the elements.
+// They are emptied when a new compilation starts, keeping their identity for the plugin
+export const allUseOSFiles = new Set()
+export const allElements = {}
+
+/**
+ * Components seen during one webpack compilation: pages, their custom elements
+ * and the files requiring native modules
+ */
+export class ComponentRegistry {
+  constructor () {
+    // component id -> { id, resourcePath, name, elements: Map<name, id> }
+    this.components = new Map()
+    // page id -> element names used in the page and all its elements
+    this.names = new Map()
+    this.useOSFiles = new Set()
+  }
+
+  /**
+   * Get a component, registering it on first use
+   * @param {string} id component id, see `getComponentId`
+   * @returns {Object}
+   */
+  getComponent (id) {
+    let component = this.components.get(id)
+    if (!component) {
+      component = {
+        id,
+        resourcePath: id.replace(/\?.*$/, ''),
+        name: undefined,
+        elements: new Map()
+      }
+      this.components.set(id, component)
+    }
+    return component
+  }
+
+  /**
+   * Register a page (an entry) and reserve its name for its elements
+   * @param {string} id
+   * @param {string} name
+   */
+  addPage (id, name) {
+    this.getComponent(id).name = name
+    this.claimName(id, name)
+  }
+
+  /**
+   * Register a custom element used by a component
+   * @param {string} parentId id of the component using the element
+   * @param {string} name lower-cased element name
+   * @param {string} id id of the element
+   */
+  addElement (parentId, name, id) {
+    this.getComponent(id).name = name
+    this.getComponent(parentId).elements.set(name, id)
+    const parentPath = this.getComponent(parentId).resourcePath
+    const elementPath = this.getComponent(id).resourcePath
+    allElements[parentPath] = allElements[parentPath] || {}
+    allElements[parentPath][name] = true
+    // an inline element has the path of the file defining it, which is not its own parent
+    if (elementPath !== parentPath) {
+      allElements[elementPath] = allElements[elementPath] || {}
+      allElements[elementPath].parent = parentPath
+    }
+  }
+
+  /**
+   * Register a file requiring native modules
+   * @param {string} resourcePath
+   */
+  addUseOSFile (resourcePath) {
+    this.useOSFiles.add(resourcePath)
+    allUseOSFiles.add(resourcePath)
+  }
+
+  /**
+   * Reserve an element name within a page and all its elements
+   * @param {string} pageId
+   * @param {string} name
+   * @returns {boolean} false if the name is already used (ignore case)
+   */
+  claimName (pageId, name) {
+    const names = this.names.get(pageId) || new Set()
+    this.names.set(pageId, names)
+    name = name.toLowerCase()
+    if (names.has(name)) {
+      return false
+    }
+    names.add(name)
+    return true
+  }
+
+  /**
+   * Get the custom elements used by a component
+   * @param {string} id
+   * @returns {Array<Object>} elements with their name and id
+   */
+  getElements (id) {
+    const component = this.components.get(id)
+    if (!component) {
+      return []
+    }
+    return Array.from(component.elements, ([name, elementId]) => ({ name, id: elementId }))
+  }
+
+  /**
+   * Get the components using a component
+   * @param {string} id
+   * @returns {Array<string>} ids of the parents
+   */
+  getParents (id) {
+    const parents = []
+    this.components.forEach(component => {
+      for (const elementId of component.elements.values()) {
+        if (elementId === id) {
+          parents.push(component.id)
+          break
+        }
+      }
+    })
+    return parents
+  }
+
+  /**
+   * Get every chain of parents from a component up to the pages using it
+   * @param {string} id
+   * @param {Set} visited ids already in the chain, to stop on cycles
+   * @returns {Array<Array<string>>} chains of ids, nearest parent first
+   */
+  getParentChains (id, visited) {
+    visited = visited || new Set([id])
+    const chains = []
+    this.getParents(id).forEach(parentId => {
+      if (visited.has(parentId)) {
+        return
+      }
+      const parentChains = this.getParentChains(parentId, new Set(visited).add(parentId))
+      if (parentChains.length) {
+        parentChains.forEach(chain => chains.push([parentId].concat(chain)))
+      } else {
+        chains.push([parentId])
+      }
+    })
+    return chains
+  }
+
+  /**
+   * Serialize the component graph, e.g. to write it to a report
+   * @returns {Object} components keyed by id, with their elements and parents
+   */
+  toJSON () {
+    const graph = {}
+    this.components.forEach((component, id) => {
+      graph[id] = {
+        name: component.name,
+        resourcePath: component.resourcePath,
+        elements: this.getElements(id),
+        parents: this.getParents(id)
+      }
+    })
+    return graph
+  }
+}
+
+/**
+ * Get the id of a component: its path, followed by its name for the inline elements
+ * which share the path of the file defining them
+ * @param {string} resourcePath
+ * @param {string} inlineName
+ * @returns {string}
+ */
+export function getComponentId (resourcePath, inlineName) {
+  return inlineName ? `${resourcePath}?name=${inlineName}` : resourcePath
+}
+
+/**
+ * Empty the exported files requiring native modules and custom elements
+ */
+function resetExports () {
+  allUseOSFiles.clear()
+  Object.keys(allElements).forEach(key => {
+    delete allElements[key]
+  })
+}
+
+/**
+ * Get the registry of the compilation a loader runs in. A new compilation, e.g. a rebuild
+ * in watch mode or another compiler of a multi-compiler build, gets an empty registry,
+ * and the exports of the previous compilation are emptied.
+ * The pages built for several targets in one compilation get a registry per target.
+ * @param {Object} compilation webpack compilation, `this._compilation` in a loader
+ * @param {string} target device level of the page, if several are built, see `getTargetEntries`
+ * @returns {ComponentRegistry}
+ */
+export function getComponentRegistry (compilation, target) {
+  let targetRegistries = compilation ? registries.get(compilation) : defaultRegistries
+  if (!targetRegistries) {
+    targetRegistries = new Map()
+    registries.set(compilation, targetRegistries)
+    resetExports()
+  }
+  let registry = targetRegistries.get(target)
+  if (!registry) {
+    registry = new ComponentRegistry()
+    targetRegistries.set(target, registry)
+  }
+  return registry
+}
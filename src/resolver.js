@@ -0,0 +1,105 @@
+/*
+ * Copyright (c) 2023 Huawei Device Co., Ltd.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs'
+import path from 'path'
+
+const {
+  ResolverFactory,
+  CachedInputFileSystem
+} = require('enhanced-resolve')
+
+// compiler -> file system of the resolvers, and the resolvers of the `@import` of the styles by
+// `resolveModules`
+const caches = new WeakMap()
+
+/**
+ * Create the resolver of the `@import` of the styles, with the `resolve` options of the webpack
+ * configuration, e.g. `alias` and `modules`, so that they resolve like the imports of the scripts.
+ * The packages are resolved like `css-loader` does, with the `style` condition of `exports`
+ * and the `style` field of `package.json`.
+ * @param {Object} loader webpack loader context
+ * @param {Object} options resolved options of the loader, with the `resolveModules` searched last
+ * @param {Object} fileSystem cached file system the resolver reads
+ * @returns {Object} enhanced-resolve resolver, its file system calls are synchronous
+ */
+function createResolver (loader, options, fileSystem) {
+  const resolve = loader._compiler && loader._compiler.options && loader._compiler.options.resolve || {}
+  return ResolverFactory.createResolver(Object.assign({}, resolve, {
+    fileSystem,
+    useSyncFileSystemCalls: true,
+    modules: [].concat(resolve.modules || ['node_modules'], options.resolveModules || []),
+    extensions: ['.css'],
+    mainFields: ['style', 'main'],
+    mainFiles: ['index'],
+    conditionNames: ['style'],
+    exportsFields: ['exports'],
+    preferRelative: true
+  }))
+}
+
+/**
+ * Get the resolvers of the `@import` of the styles of a compiler. The cache of their file system is
+ * purged when a watch run starts, so that the files added or removed meanwhile are found.
+ * @param {Object} compiler webpack compiler, undefined out of webpack
+ * @returns {Object} fileSystem and resolvers by `resolveModules`
+ */
+function getResolvers (compiler) {
+  let cache = compiler && caches.get(compiler)
+  if (!cache) {
+    cache = { fileSystem: new CachedInputFileSystem(fs, 4000), resolvers: {} }
+    if (compiler) {
+      caches.set(compiler, cache)
+      if (compiler.hooks && compiler.hooks.watchRun) {
+        compiler.hooks.watchRun.tap('weex-loader', () => cache.fileSystem.purge())
+      }
+    }
+  }
+  return cache
+}
+
+/**
+ * Get the function resolving the `@import` of the styles, given to the styler as its `resolve` option.
+ * A path starting with `~` is a package, e.g. `~@company/theme/base.css`, other paths are tried
+ * next to the importing file first, then as a package.
+ * @param {Object} loader webpack loader context
+ * @param {Object} options resolved options of the loader
+ * @returns {Function} called with the path imported and the importing file, returns the `file`
+ *                     it resolves to, or the `error` and the paths `tried`
+ */
+export function getStyleResolve (loader, options) {
+  const { fileSystem, resolvers } = getResolvers(loader._compiler)
+  const key = JSON.stringify(options.resolveModules || [])
+  const resolver = resolvers[key] = resolvers[key] || createResolver(loader, options, fileSystem)
+  return (request, issuer) => {
+    const missingDependencies = new Set()
+    let result
+    resolver.resolve({}, path.dirname(issuer), request.replace(/^~/, ''), { missingDependencies },
+      (error, file) => {
+        result = { error, file }
+      })
+    if (!result) {
+      result = { error: new Error('The file system of the resolver is not synchronous.') }
+    }
+    if (result.error || !result.file) {
+      return {
+        error: result.error,
+        // the description files looked for are not locations of the file
+        tried: Array.from(missingDependencies).filter(file => path.basename(file) !== 'package.json')
+      }
+    }
+    return { file: result.file }
+  }
+}
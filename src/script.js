@@ -21,17 +21,29 @@ import path from 'path'
 
 import {
   logWarn,
-  parseRequireModule
+  parseRequireModule,
+  generateIdentityMap,
+  shiftMap
 } from './util'
+import { createLog } from './messages'
+import { startReport } from './diagnostics'
 import {
   parseScript
 } from './parser'
+import {
+  getComponentRegistry
+} from './registry'
+import {
+  getResolvedOptions
+} from './options'
 
 const { DEVICE_LEVEL } = require('./lite/lite-enum')
 
 module.exports = function (source, map) {
   this.cacheable && this.cacheable()
+  startReport(this)
   const callback = this.async()
+  const options = getResolvedOptions(this)
   parseScript(source, this.resourcePath)
     .then(({
       parsed, log
@@ -39,9 +51,10 @@ module.exports = function (source, map) {
       if (log && log.length) {
         logWarn(this, log)
       }
-      parsed = parseRequireModule(parsed, this.resourcePath);
-      if (process.env.DEVICE_LEVEL === DEVICE_LEVEL.RICH || process.env.DEVICE_LEVEL === 'card') {
-        const appName = process.env.abilityType === 'page' ? 'app.js' : `${process.env.abilityType}.js`
+      parsed = parseRequireModule(parsed, this.resourcePath,
+        getComponentRegistry(this._compilation, options.target), options);
+      if (options.deviceLevel === DEVICE_LEVEL.RICH || options.deviceLevel === 'card') {
+        const appName = options.abilityType === 'page' ? 'app.js' : `${options.abilityType}.js`
         if (path.basename(this.resourcePath) !== appName) {
           parsed += `\nvar moduleOwn = exports.default || module.exports;\n` +
             `var accessors = ['public', 'protected', 'private'];
@@ -62,17 +75,18 @@ if (moduleOwn.data && accessors.some(function (acc) {
       ` ' value must not be a function. Change the value to an object.');
     }\n  });\n}`
         }
-        let result = `module.exports = function(module, exports, $app_require$){${parsed}}`
+        const prefix = 'module.exports = function(module, exports, $app_require$){'
+        let result = `${prefix}${parsed}}`
         result += '\n/* generated by ace-loader */\n'
-        callback(null, result, map)
+        // the lines of the script are kept, only the first one is moved by the wrapper
+        callback(null, result, this.sourceMap ?
+          shiftMap(map || generateIdentityMap(this, source), prefix.length) : undefined)
       }
-      if (process.env.DEVICE_LEVEL === DEVICE_LEVEL.LITE) {
+      if (options.deviceLevel === DEVICE_LEVEL.LITE) {
         callback(null, parsed, map)
       }
     }).catch(e => {
-      logWarn(this, [{
-        reason: 'ERROR: Failed to parse the JS file. ' + e
-      }])
+      logWarn(this, [createLog('LOADER-SCRIPT-PARSE-FAILED', { error: e })])
       callback('')
     })
 }
\ No newline at end of file
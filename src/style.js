@@ -17,33 +17,92 @@
  * under the License.
  */
 
+import fs from 'fs'
+import path from 'path'
+
 import {
-  logWarn
+  logWarn,
+  generateLineMap,
+  trackFileExists
 } from './util'
+import { createLog } from './messages'
+import { startReport } from './diagnostics'
+import { getStyleResolve } from './resolver'
+import {
+  getResolvedOptions
+} from './options'
 
 import {
-  parseStyle
+  parseStyle,
+  getStylePositions
 } from './parser'
 const compileStyle = require('./lite/lite-transform-style')
 const { DEVICE_LEVEL } = require('./lite/lite-enum')
-module.exports = function (source) {
+
+/**
+ * Watch the files imported with `@import` by a style, which are compiled with it: a change of one
+ * of them, or the creation of a missing one, compiles the style again
+ * @param {Object} loader webpack loader context
+ * @param {Object} imports imported files by importing file
+ * @param {Array<string>} missing imported files which do not exist
+ */
+function trackImports (loader, imports, missing) {
+  const files = [].concat(...Object.keys(imports || {}).map(file => imports[file]), missing || [])
+  files.forEach(file => trackFileExists(loader, file))
+}
+
+/**
+ * Parse the custom properties of the application style, `app.css`, which the styles of the pages
+ * inherit. Its logs are reported when it is compiled itself.
+ * @param {Object} loader webpack loader context
+ * @param {Object} options options of the styler
+ * @returns {Promise<Object|undefined>} `variables` of the application style, undefined without it
+ */
+function parseAppVariables (loader, options) {
+  if (!options.projectPath || options.abilityType !== 'page') {
+    return Promise.resolve()
+  }
+  const appStyle = path.resolve(options.projectPath, 'app.css')
+  if (path.resolve(loader.resourcePath) === appStyle || !trackFileExists(loader, appStyle)) {
+    return Promise.resolve()
+  }
+  return parseStyle(fs.readFileSync(appStyle, 'utf-8'), appStyle, options)
+    .then(({ imports, missing, variables }) => {
+      trackImports(loader, imports, missing)
+      return variables
+    })
+}
+
+module.exports = function (source, map) {
   this.cacheable && this.cacheable()
+  startReport(this)
 
   const callback = this.async()
+  const options = getResolvedOptions(this)
 
-  parseStyle(source, this.resourcePath)
-    .then(({ parsed, log }) => {
-      if (log && log.length) {
-        logWarn(this, log)
-      }
-      if (process.env.DEVICE_LEVEL === DEVICE_LEVEL.LITE) {
+  // the `@import` of the style resolve like the imports of the scripts, only the runtime of the rich
+  // device level resolves the `var()`
+  const styleOptions = Object.assign({}, options, {
+    resolve: getStyleResolve(this, options),
+    runtimeVariables: options.runtimeVariables && options.deviceLevel === DEVICE_LEVEL.RICH
+  })
+
+  parseAppVariables(this, styleOptions)
+    .then(variables => parseStyle(source, this.resourcePath, Object.assign({}, styleOptions, { variables })))
+    .then(({ parsed, log, imports, missing }) => {
+      trackImports(this, imports, missing)
+      // called without logs too, to report the suppression comments of the source which are unused
+      logWarn(this, log, source, map)
+      if (options.deviceLevel === DEVICE_LEVEL.LITE) {
         parsed = compileStyle.transformStyle(parsed)
+        callback(null, parsed)
+        return
       }
-      callback(null, parsed)
+      // each line of the style JSON is mapped to its selector or to the declaration of its property
+      callback(null, parsed, this.sourceMap ?
+        generateLineMap(this, source, getStylePositions(source, parsed), map) : undefined)
     }).catch(e => {
-      logWarn(this, [{
-        reason: 'ERROR: Failed to parse the CSS file. ' + e
-      }])
+      logWarn(this, [createLog('LOADER-STYLE-PARSE-FAILED', { error: e })])
       callback('')
     })
 }
@@ -0,0 +1,115 @@
+/*
+ * Copyright (c) 2023 Huawei Device Co., Ltd.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Comments which suppress the diagnostics of a style or a template, by code:
+ *
+ *   /* weex-loader-disable-next-line STYLE-PROPERTY-UNKNOWN *\/
+ *   <!-- weex-loader-disable STYLE-UNIT-MISSING, STYLE-VALUE-DEFAULT -- reason -->
+ *   <!-- weex-loader-enable STYLE-UNIT-MISSING -->
+ *
+ * `disable-next-line` suppresses the line after the comment, `disable` the rest of the file or
+ * until an `enable` comment of the code. Without codes, every diagnostic is suppressed, which is
+ * the only way to suppress the logs without a code.
+ * Both kinds of comments can be used in styles and in templates.
+ * The comments which suppress nothing are reported.
+ * The comments of a file imported with `@import` are not read: the diagnostics of the imports
+ * of an imported file are reported at the `@import` of the style compiled, so they are suppressed
+ * by the comments of that style.
+ */
+const DIRECTIVE_REG =
+  /\/\*\s*weex-loader-(disable-next-line|disable|enable)\b([\s\S]*?)\*\/|<!--\s*weex-loader-(disable-next-line|disable|enable)\b([\s\S]*?)-->/g
+
+/**
+ * Get the 1-based line and column of an offset
+ * @param {string} source
+ * @param {number} offset
+ * @returns {Object} line and column
+ */
+function getOffsetPosition (source, offset) {
+  const lines = source.slice(0, offset).split(/\r?\n/)
+  return {
+    line: lines.length,
+    column: lines[lines.length - 1].length + 1
+  }
+}
+
+/**
+ * Compare two positions
+ * @param {Object} a line and column
+ * @param {Object} b line and column
+ * @returns {number} negative if a is before b, positive if it is after, 0 if they are the same
+ */
+function comparePosition (a, b) {
+  return a.line - b.line || (a.column || 1) - (b.column || 1)
+}
+
+/**
+ * Find the suppressions of a source. Each one suppresses a code, or every code if it is `*`,
+ * in a range of positions
+ * @param {string} source
+ * @returns {Array<Object>} suppressions with code, start, end, the position of their comment
+ *                          and whether they are `used`
+ */
+export function parseSuppressions (source) {
+  const suppressions = []
+  let match
+  DIRECTIVE_REG.lastIndex = 0
+  while ((match = DIRECTIVE_REG.exec(source))) {
+    const directive = match[1] || match[3]
+    const codes = (match[2] || match[4] || '').split('--')[0].split(/[\s,]+/).filter(code => code)
+    const position = getOffsetPosition(source, match.index)
+    const after = getOffsetPosition(source, match.index + match[0].length)
+    if (directive === 'enable') {
+      suppressions.forEach(suppression => {
+        if (!suppression.end && (!codes.length || codes.indexOf(suppression.code) !== -1)) {
+          suppression.end = position
+        }
+      })
+      continue
+    }
+    const nextLine = directive === 'disable-next-line'
+    ;(codes.length ? codes : ['*']).forEach(code => {
+      suppressions.push({
+        code,
+        position,
+        start: nextLine ? { line: after.line + 1, column: 1 } : after,
+        end: nextLine ? { line: after.line + 2, column: 1 } : undefined,
+        used: false
+      })
+    })
+  }
+  return suppressions
+}
+
+/**
+ * Find the suppression of a log, and mark it as used
+ * @param {Array<Object>} suppressions given by `parseSuppressions`
+ * @param {Object} log with code, line and column
+ * @returns {boolean} whether the log is suppressed
+ */
+export function suppressLog (suppressions, log) {
+  if (!log.line) {
+    return false
+  }
+  const suppression = suppressions.find(suppression =>
+    (suppression.code === '*' || suppression.code === log.code) &&
+    comparePosition(log, suppression.start) >= 0 &&
+    (!suppression.end || comparePosition(log, suppression.end) < 0))
+  if (suppression) {
+    suppression.used = true
+  }
+  return !!suppression
+}
@@ -18,43 +18,61 @@
  */
 
 import {
-  logWarn
+  logWarn,
+  generateLineMap
 } from './util'
+import { createLog } from './messages'
+import { startReport } from './diagnostics'
+import {
+  getResolvedOptions
+} from './options'
 
 import {
-  parseTemplate
+  parseTemplate,
+  getPosition,
+  getTemplatePositions,
+  offsetPosition
 } from './parser'
 const compiler = require('./lite/lite-transform-template')
 const { DEVICE_LEVEL } = require('./lite/lite-enum')
-module.exports = function (source) {
-  if (process.env.DEVICE_LEVEL !== DEVICE_LEVEL.RICH && source.lastIndexOf('</element>') > 0) {
+module.exports = function (source, map) {
+  const { deviceLevel } = getResolvedOptions(this)
+  const original = source
+  // where the compiled template starts in the source
+  let start
+  if (deviceLevel !== DEVICE_LEVEL.RICH && source.lastIndexOf('</element>') > 0) {
     const count = source.lastIndexOf('</element>')
     source = source.substr(count + 10, source.length)
+    start = getPosition(original, count + 10)
   }
   this.cacheable && this.cacheable()
+  startReport(this)
 
   const callback = this.async()
 
   let hasError = false
   parseTemplate(source, this.resourcePath)
     .then(({ parsed, log }) => {
-      if (log && log.length) {
-        hasError = logWarn(this, log)
-      }
+      // the positions of the logs are in the compiled part of the template, move them to the file.
+      // It is called without logs too, to report the suppression comments which are unused
+      hasError = logWarn(this, start && log ? log.map(item => item.line ?
+        Object.assign({}, item, offsetPosition(item, start)) : item) : log, original, map)
       // If there is an error during compilation, an empty object is returned
-      if (process.env.DEVICE_LEVEL === DEVICE_LEVEL.LITE) {
+      if (deviceLevel === DEVICE_LEVEL.LITE) {
         if (hasError) {
           parsed = `function () { return {} }`
         }
         else {
           parsed = compiler.transformTemplate(parsed)
         }
+        callback(null, parsed)
+        return
       }
-      callback(null, parsed)
+      // each line of the template JSON is mapped to its element or to the attribute it comes from
+      callback(null, parsed, this.sourceMap ?
+        generateLineMap(this, original, getTemplatePositions(source, parsed, start), map) : undefined)
     }).catch(e => {
-      logWarn(this, [{
-        reason: 'ERROR: Failed to parse the HML file. ' + e
-      }])
+      logWarn(this, [createLog('LOADER-TEMPLATE-PARSE-FAILED', { error: e })])
       callback('')
     })
 }
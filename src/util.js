@@ -27,10 +27,26 @@ import {
   SourceMapConsumer
 } from 'source-map'
 
+import {
+  resolveOptions,
+  getResolvedOptions
+} from './options'
+import { reportDiagnostic } from './diagnostics'
+import { createLog, SEVERITY_REG } from './messages'
+import {
+  parseSuppressions,
+  suppressLog
+} from './suppressions'
+
+// the files requiring native modules and the custom elements of every compilation, read by the
+// build plugin, see `ComponentRegistry` for the ones of one compilation
+export {
+  allUseOSFiles as useOSFiles,
+  allElements as elements
+} from './registry'
+
 const { systemModules } =  require('../main.product')
 const { DEVICE_LEVEL } = require('./lite/lite-enum')
-export const useOSFiles = new Set();
-export const elements = {};
 
 /**
  * Get name by path (basename without extension)
@@ -84,50 +100,250 @@ export function stringifyFunction (key, value) {
   return value
 }
 
+const FRAME_LINES_ABOVE = 2
+const FRAME_LINES_BELOW = 2
+
+/**
+ * Build an excerpt of the source around a position, the line of the position marked with `>`
+ * and a caret under its column:
+ *
+ *     1 | .foo {
+ *   > 2 |   colr: red;
+ *       |   ^
+ *     3 | }
+ *
+ * @param {string} source
+ * @param {number} line 1-based
+ * @param {number} column 1-based
+ * @returns {string} the excerpt, empty if the line is not in the source
+ */
+export function codeFrame (source, line, column) {
+  const lines = splitSourceLine(source)
+  if (!line || line > lines.length) {
+    return ''
+  }
+  const first = Math.max(line - FRAME_LINES_ABOVE, 1)
+  const last = Math.min(line + FRAME_LINES_BELOW, lines.length)
+  const width = String(last).length
+  const frame = []
+  for (let number = first; number <= last; number++) {
+    const input = lines[number - 1]
+    const gutter = ` ${String(number).padStart(width)} |`
+    frame.push(`${number === line ? '>' : ' '}${gutter}${input ? ' ' + input : ''}`)
+    if (number === line && column) {
+      // keep the tabs before the column so that the caret lines up with it
+      const indent = input.slice(0, column - 1).replace(/[^\t]/g, ' ')
+      frame.push(`  ${' '.repeat(width)} | ${indent}^`)
+    }
+  }
+  return frame.join('\n')
+}
+
+/**
+ * Find the source of a source map which is the file compiled, the others being the files it imports
+ * @param {Object} consumer of the source map
+ * @param {string} resourcePath
+ * @returns {string|undefined} the name of the source in the map
+ */
+function getResourceSource (consumer, resourcePath) {
+  if (consumer.sources.length === 1) {
+    return consumer.sources[0]
+  }
+  return consumer.sources.find(source => {
+    const file = source.replace(/^webpack:\/\/[^/]*/, '').replace(/\?.*$/, '')
+    return path.resolve(file) === resourcePath ||
+      resourcePath.endsWith(path.normalize(file).replace(/^(\.\.?[\\/])+/, ''))
+  })
+}
+
+/**
+ * Find where a log is in the file compiled: its position is traced back through the source map
+ * of the previous loaders, e.g. from the CSS of a preprocessed style to its less or sass file
+ * @param {Object} log with line and column in the source
+ * @param {string} source given to the templater or the styler
+ * @param {Object} original consumer of the source map, name and content of the file in the map, if any
+ * @returns {Object} the log at its position in the file, and the source the position refers to
+ */
+function locateLog (log, source, original) {
+  let { line, column } = log
+  if (original && line) {
+    const position = original.consumer.originalPositionFor({ line, column: column ? column - 1 : 0 })
+    if (position.source === original.name && position.line) {
+      line = position.line
+      column = column ? position.column + 1 : column
+      source = original.content
+    }
+  }
+  return {
+    log: Object.assign({}, log, { line, column }),
+    source
+  }
+}
+
+/**
+ * Remove the logs suppressed by the comments of their source, and add a log for each comment
+ * which suppresses nothing
+ * @param {Array<Object>} entries log and source of each log, given by `locateLog`
+ * @param {Array<string>} sources sources whose comments are checked
+ * @returns {Array<Object>} entries of the logs to emit
+ */
+function applySuppressions (entries, sources) {
+  const suppressions = new Map()
+  sources.forEach(source => suppressions.set(source, parseSuppressions(source)))
+  const unsuppressed = entries.filter(({ log, source }) =>
+    !suppressions.has(source) || !suppressLog(suppressions.get(source), log))
+  suppressions.forEach((items, source) => {
+    items.filter(item => !item.used).forEach(item => {
+      unsuppressed.push({ log: createLog('LOADER-SUPPRESSION-UNUSED', { code: item.code }, item.position), source })
+    })
+  })
+  return unsuppressed
+}
+
+/**
+ * Get the severity set for a code in the `severity` option: the one of the code,
+ * or of the longest pattern ending with `*` it starts with
+ * @param {string} code
+ * @param {Object} severity the `severity` option
+ * @returns {string|undefined} error, warning, note or off
+ */
+function getSeverity (code, severity) {
+  if (!code || !severity) {
+    return
+  }
+  if (severity[code]) {
+    return severity[code]
+  }
+  const pattern = Object.keys(severity)
+    .filter(key => key.endsWith('*') && code.startsWith(key.slice(0, -1)))
+    .sort((a, b) => b.length - a.length)[0]
+  return pattern && severity[pattern]
+}
+
+/**
+ * Apply the `severity` and `warningsAsErrors` options to a log, by changing the severity
+ * its reason starts with
+ * @param {Object} log
+ * @param {Object} options resolved options of the loader
+ * @returns {Object|undefined} the log, undefined if it is turned off
+ */
+function applySeverity (log, options) {
+  let severity = getSeverity(log.code, options.severity)
+  const match = log.reason.match(SEVERITY_REG)
+  if (!severity && options.warningsAsErrors && match && match[1].startsWith('WARN')) {
+    severity = 'error'
+  }
+  if (severity === 'off') {
+    return
+  }
+  if (!severity || !match) {
+    return log
+  }
+  return Object.assign({}, log, {
+    reason: `${severity.toUpperCase()}: ${log.reason.slice(match[0].length)}`
+  })
+}
+
 /**
  * Emit warnings and errors to webpack loader based on logs
+ * The severities of the messages are changed by the `severity` and `warningsAsErrors` options first,
+ * then every message is recorded in the diagnostics file of the compilation, if any. The errors are
+ * always emitted, so that they fail the build, the `logLevel` option gives the notes and warnings
+ * emitted. The messages show the lines around the positions of the logs in the source they refer
+ * to, and are tagged with the target when several device levels are built, unless the `verboseLog`
+ * option is false.
+ * The logs suppressed by the comments of the source are left out, see `src/suppressions.js`.
  * @param {Object} loader
  * @param {Array} logs
+ * @param {string} source given to the templater or the styler, if the logs come from them
+ * @param {Object|string} map source map of the source from the previous loaders, if any
  * @returns {boolean} whether an error was encountered
  */
-export function logWarn (loader, logs) {
+export function logWarn (loader, logs, source, map) {
   // add flag to determine if there is an error log
   let flag = false
-  if (process.env.logLevel > 0) {
-    if (logs && logs.length) {
-      logs.forEach(log => {
-        if (log.reason.startsWith('NOTE') && parseInt(process.env.logLevel) <= 1) {
-          if (log.line && log.column) {
-            loader.emitWarning('noteStartNOTE File:' + loader.resourcePath + ':' +
-              log.line + ':' + log.column + '\n ' + log.reason.replace('NOTE: ', '') + 'noteEnd')
-          } else {
-            loader.emitWarning('noteStartNOTE File:' + loader.resourcePath +
-              '\n ' + log.reason.replace('NOTE: ', '') + 'noteEnd')
-          }
-        } else if (log.reason.startsWith('WARN') && parseInt(process.env.logLevel) <= 2) {
-          if (log.line && log.column) {
-            loader.emitWarning('warnStartWARNING File:' + loader.resourcePath + ':' +
-              log.line + ':' + log.column + '\n ' + log.reason.replace('WARNING: ', '') + 'warnEnd')
-          } else {
-            loader.emitWarning('warnStartWARNING File:' + loader.resourcePath +
-              '\n ' + log.reason.replace('WARNING: ', '') + 'warnEnd')
-          }
-        } else if (log.reason.startsWith('ERROR') && parseInt(process.env.logLevel) <= 3) {
-          flag = true
-          if (log.line && log.column) {
-            loader.emitError('errorStartERROR File:' + loader.resourcePath + ':' +
-              log.line + ':' + log.column + '\n ' + log.reason.replace('ERROR: ', '') + 'errorEnd')
-          } else {
-            loader.emitError('errorStartERROR File:' + loader.resourcePath +
-              '\n ' + log.reason.replace('ERROR: ', '') + 'errorEnd')
-          }
-        }
-      })
+  const options = getResolvedOptions(loader)
+  const { logLevel, target, verboseLog } = options
+  const tag = verboseLog && target ? `[${target}] ` : ''
+  let entries = (logs || []).map(log => ({ log, source }))
+  if (source) {
+    let original
+    if (map) {
+      try {
+        const consumer = new SourceMapConsumer(map)
+        const name = getResourceSource(consumer, loader.resourcePath)
+        const content = name && consumer.sourceContentFor(name, true)
+        original = content ? { consumer, name, content } : undefined
+      }
+      catch (e) {
+        // an invalid map only loses the original positions
+      }
     }
+    entries = applySuppressions(entries.map(({ log }) => locateLog(log, source, original)),
+      original ? [source, original.content] : [source])
   }
+  entries.forEach(entry => {
+    const log = applySeverity(entry.log, options)
+    if (!log) {
+      return
+    }
+    reportDiagnostic(loader, log)
+    const { source } = entry
+    const { line, column } = log
+    const frame = verboseLog && source && line ? codeFrame(source, line, column) : ''
+    const excerpt = frame ? '\n' + frame : ''
+    if (log.reason.startsWith('NOTE') && logLevel > 0 && logLevel <= 1) {
+      if (line && column) {
+        loader.emitWarning('noteStartNOTE File:' + loader.resourcePath + ':' +
+          line + ':' + column + '\n ' + tag + log.reason.replace('NOTE: ', '') + excerpt + 'noteEnd')
+      } else {
+        loader.emitWarning('noteStartNOTE File:' + loader.resourcePath +
+          '\n ' + tag + log.reason.replace('NOTE: ', '') + excerpt + 'noteEnd')
+      }
+    } else if (log.reason.startsWith('WARN') && logLevel > 0 && logLevel <= 2) {
+      if (line && column) {
+        loader.emitWarning('warnStartWARNING File:' + loader.resourcePath + ':' +
+          line + ':' + column + '\n ' + tag + log.reason.replace('WARNING: ', '') + excerpt + 'warnEnd')
+      } else {
+        loader.emitWarning('warnStartWARNING File:' + loader.resourcePath +
+          '\n ' + tag + log.reason.replace('WARNING: ', '') + excerpt + 'warnEnd')
+      }
+    } else if (log.reason.startsWith('ERROR')) {
+      flag = true
+      if (line && column) {
+        loader.emitError('errorStartERROR File:' + loader.resourcePath + ':' +
+          line + ':' + column + '\n ' + tag + log.reason.replace('ERROR: ', '') + excerpt + 'errorEnd')
+      } else {
+        loader.emitError('errorStartERROR File:' + loader.resourcePath +
+          '\n ' + tag + log.reason.replace('ERROR: ', '') + excerpt + 'errorEnd')
+      }
+    }
+  })
   return flag
 }
 
+/**
+ * Check whether a probed file exists and track it as a dependency of the loader,
+ * so that creating, changing or deleting the file triggers a rebuild
+ * @param {Object} loader
+ * @param {string} filePath
+ * @returns {boolean} whether the file exists
+ */
+export function trackFileExists (loader, filePath) {
+  const exists = fs.existsSync(filePath)
+  if (exists) {
+    loader.addDependency && loader.addDependency(filePath)
+  }
+  else if (loader.addMissingDependency) {
+    loader.addMissingDependency(filePath)
+  }
+  else {
+    // webpack without missing dependencies: watch the directory the file would be created in
+    loader.addContextDependency && loader.addContextDependency(path.dirname(filePath))
+  }
+  return exists
+}
+
 /**
  * Build a require string for a given filepath with optional loader
  * @param {Object} loaderContext
@@ -158,6 +374,9 @@ export function stringifyLoaders (loaders) {
     }
     else {
       const name = loader.name
+      if (typeof loader.query === 'string') {
+        return `${name}?${loader.query}`
+      }
       const query = []
       if (loader.query) {
         for (const k in loader.query) {
@@ -260,6 +479,78 @@ export function consumeMap (loader, target, map) {
   }
 }
 
+/**
+ * Create the source map of generated code whose lines each come from one position of the source.
+ * With the map of the previous loaders, the positions are traced back to the original file.
+ * @param {Object} loader
+ * @param {string} source
+ * @param {Array<Object>} positions line and 1-based column in the source of each generated line,
+ *                                  undefined for the lines without origin
+ * @param {Object|string} inputMap source map of the source, if any
+ * @returns {Object} the source map
+ */
+export function generateLineMap (loader, source, positions, inputMap) {
+  const mappings = []
+  positions.forEach((position, index) => {
+    if (position) {
+      mappings.push({
+        original: { line: position.line, column: position.column - 1 },
+        generated: { line: index + 1, column: 0 }
+      })
+    }
+  })
+  const map = generateMap(loader, source, mappings)
+  if (inputMap) {
+    map.applySourceMap(new SourceMapConsumer(inputMap), getFileNameWithHash(loader.resourcePath))
+  }
+  return map.toJSON()
+}
+
+/**
+ * Create the source map of a source whose lines are kept as they are in the generated code
+ * @param {Object} loader
+ * @param {string} source
+ * @returns {Object} the source map
+ */
+export function generateIdentityMap (loader, source) {
+  return generateLineMap(loader, source, splitSourceLine(source).map((input, index) => ({
+    line: index + 1,
+    column: 1
+  })))
+}
+
+/**
+ * Move the mappings of the first generated line, when code is put in front of it
+ * @param {Object|string} map
+ * @param {number} column length of the code put in front of the first line
+ * @returns {Object} the source map
+ */
+export function shiftMap (map, column) {
+  const smc = new SourceMapConsumer(map)
+  const generator = new SourceMapGenerator({
+    file: smc.file,
+    skipValidation: true
+  })
+  smc.eachMapping(mapping => {
+    generator.addMapping({
+      source: mapping.source,
+      name: mapping.name,
+      original: mapping.source ? { line: mapping.originalLine, column: mapping.originalColumn } : undefined,
+      generated: {
+        line: mapping.generatedLine,
+        column: mapping.generatedLine === 1 ? mapping.generatedColumn + column : mapping.generatedColumn
+      }
+    })
+  })
+  smc.sources.forEach(source => {
+    const content = smc.sourceContentFor(source, true)
+    if (content !== null) {
+      generator.setSourceContent(source, content)
+    }
+  })
+  return generator.toJSON()
+}
+
 const LINE_REG = /\r?\n/g
 /**
  * Split source into lines (preserving newline handling)
@@ -298,6 +589,21 @@ export function loadBabelModule (moduleName) {
   }
 }
 
+/**
+ * Resolve a loader module from the given lookup paths
+ * @param {string} moduleName
+ * @param {Array<string>} paths
+ * @returns {string|undefined} resolved file path, or undefined if it can not be found
+ */
+export function resolveLoaderModule (moduleName, paths) {
+  try {
+    return require.resolve(moduleName, { paths })
+  }
+  catch (e) {
+    return undefined
+  }
+}
+
 const methodForLite =
 `
 function requireModule(moduleName) {
@@ -350,10 +656,13 @@ function requireModule(moduleName) {
  * Parse and rewrite require statements for module resolution
  * @param {string} source
  * @param {string} resourcePath
+ * @param {ComponentRegistry} registry collects the files requiring native modules
+ * @param {Object} options loader options, see `resolveOptions`, read from the environment by default
  * @returns {string}
  */
-export function parseRequireModule (source, resourcePath) {
-  const requireMethod = process.env.DEVICE_LEVEL === DEVICE_LEVEL.LITE ? methodForLite : methodForOthers
+export function parseRequireModule (source, resourcePath, registry, options) {
+  options = options || resolveOptions().options
+  const requireMethod = options.deviceLevel === DEVICE_LEVEL.LITE ? methodForLite : methodForOthers
   source = `${source}\n${requireMethod}`
   const requireReg = /require\(['"]([^()]+)['"]\)/g
   const libReg = /^lib(.+)\.so$/
@@ -362,10 +671,10 @@ export function parseRequireModule (source, resourcePath) {
   if (requireStatements && requireStatements.length) {
     for (let requireStatement of requireStatements) {
       const requireStatementExec = /\((\"|\')(.+)(\"|\')\)/.exec(requireStatement);
-      checkModuleIsVaild(requireStatementExec, resourcePath);
+      checkModuleIsVaild(requireStatementExec, resourcePath, options);
       if (requireStatement.match(REG_SYSTEM) && requireStatementExec && requireStatementExec.length > 3) {
         if (systemModules.length === 0 || systemModules.includes(requireStatementExec[2] + '.d.ts') ||
-          process.env.DEVICE_LEVEL === 'lite') {
+          options.deviceLevel === 'lite') {
           source = source.replace(requireStatement, requireStatement.replace('require', 'requireModule'));
         }
       }
@@ -374,8 +683,8 @@ export function parseRequireModule (source, resourcePath) {
   source = source.replace(requireReg, (item, item1) => {
     if (libReg.test(item1)) {
       item = `requireNapi("${item1.replace(libReg, '$1')}", true)`
-      if (resourcePath) {
-        useOSFiles.add(resourcePath);
+      if (resourcePath && registry) {
+        registry.addUseOSFile(resourcePath);
       }
     }
     return item
@@ -501,18 +810,20 @@ function isPathUnderBase(fullPath, basePath) {
  * Validate required module for lite/device level
  * @param {Array|undefined} requireStatementExec
  * @param {string} resourcePath
+ * @param {Object} options loader options, see `resolveOptions`
  */
-function checkModuleIsVaild(requireStatementExec, resourcePath) {
-  if (process.env.DEVICE_LEVEL  !== 'lite' || !requireStatementExec || requireStatementExec.length <= 3) {
+function checkModuleIsVaild(requireStatementExec, resourcePath, options) {
+  if (options.deviceLevel !== 'lite' || !options.projectPath ||
+    !requireStatementExec || requireStatementExec.length <= 3) {
     return;
   }
 
-  const appJSPath = path.dirname(path.resolve(process.env.projectPath, 'app.js'));
+  const appJSPath = path.dirname(path.resolve(options.projectPath, 'app.js'));
   if (!isPathUnderBase(resourcePath, appJSPath)) {
     return;
   }
 
-  const json5Path = path.join(process.env.projectPath, '../../../../', 'oh-package.json5');
+  const json5Path = path.join(options.projectPath, '../../../../', 'oh-package.json5');
   const dependencies = [];
   if (fs.existsSync(json5Path)) {
     const json5Content = fs.readFileSync(json5Path, 'utf8');
@@ -0,0 +1,15 @@
+[
+  {
+    "resources": [
+      "./blocks.hml?block=template&index=0",
+      "./blocks.hml?block=style&index=0"
+    ],
+    "call": "$app_hot$.patch('@app-component/blocks', { template: $app_template$, style: $app_style$ })"
+  },
+  {
+    "resources": [
+      "./blocks.hml?block=script&index=0"
+    ],
+    "call": "$app_hot$.reload('@app-component/blocks', $app_hot_define$)"
+  }
+]
\ No newline at end of file
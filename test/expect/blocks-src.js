@@ -0,0 +1,27 @@
+[
+  {
+    "variable": "$app_template$",
+    "loaders": [
+      "json.js",
+      "template.js"
+    ],
+    "resource": "./f.html"
+  },
+  {
+    "variable": "$app_style$",
+    "loaders": [
+      "json.js",
+      "style.js"
+    ],
+    "resource": "./f.css"
+  },
+  {
+    "variable": "$app_script$",
+    "loaders": [
+      "script.js",
+      "babel-loader",
+      "resource-reference-script.js"
+    ],
+    "resource": "./f.js"
+  }
+]
\ No newline at end of file
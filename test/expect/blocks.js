@@ -0,0 +1,30 @@
+[
+  {
+    "variable": "$app_template$",
+    "loaders": [
+      "json.js",
+      "template.js",
+      "extract.js"
+    ],
+    "resource": "./blocks.hml?block=template&index=0"
+  },
+  {
+    "variable": "$app_style$",
+    "loaders": [
+      "json.js",
+      "style.js",
+      "extract.js"
+    ],
+    "resource": "./blocks.hml?block=style&index=0"
+  },
+  {
+    "variable": "$app_script$",
+    "loaders": [
+      "script.js",
+      "babel-loader",
+      "resource-reference-script.js",
+      "extract.js"
+    ],
+    "resource": "./blocks.hml?block=script&index=0"
+  }
+]
\ No newline at end of file
@@ -0,0 +1,33 @@
+[
+  {
+    "variable": "$app_template$",
+    "loaders": [
+      "json.js",
+      "template.js",
+      "extract.js",
+      "element.js"
+    ],
+    "resource": "./elements.hml?name=item&block=template&index=0"
+  },
+  {
+    "variable": "$app_style$",
+    "loaders": [
+      "json.js",
+      "style.js",
+      "extract.js",
+      "element.js"
+    ],
+    "resource": "./elements.hml?name=item&block=style&index=0"
+  },
+  {
+    "variable": "$app_script$",
+    "loaders": [
+      "script.js",
+      "babel-loader",
+      "resource-reference-script.js",
+      "extract.js",
+      "element.js"
+    ],
+    "resource": "./elements.hml?name=item&block=script&index=0"
+  }
+]
\ No newline at end of file
@@ -0,0 +1,29 @@
+[
+  {
+    "variable": null,
+    "loaders": [
+      "loader.js",
+      "element.js"
+    ],
+    "resource": "./elements.hml?name=item&parentPath=./elements.hml"
+  },
+  {
+    "variable": "$app_template$",
+    "loaders": [
+      "json.js",
+      "template.js",
+      "extract.js"
+    ],
+    "resource": "./elements.hml?block=template&index=0"
+  },
+  {
+    "variable": "$app_script$",
+    "loaders": [
+      "script.js",
+      "babel-loader",
+      "resource-reference-script.js",
+      "extract.js"
+    ],
+    "resource": "./elements.hml?block=script&index=0"
+  }
+]
\ No newline at end of file
@@ -0,0 +1,8 @@
+[
+  {
+    "resources": [
+      "./template-only.hml"
+    ],
+    "call": "$app_hot$.patch('@app-component/template-only', { template: $app_template$ })"
+  }
+]
\ No newline at end of file
@@ -187,3 +187,175 @@ describe('build', () => {
     expectActual('o');
   });
 });
+
+const specDir = path.resolve(__dirname, 'spec');
+// compilation the loaders run in, the components of one test are registered in the same one
+let compilation;
+
+/**
+ * Run a loader of weex-loader on a file of `spec`, like webpack does.
+ * Resolves with the output and the loader context, whose warnings and errors are spied.
+ */
+function runLoader(name, resource, options, source) {
+  const [file, query] = resource.split('?');
+  const resourcePath = path.resolve(specDir, file);
+  const context = {
+    resourcePath,
+    resourceQuery: query ? `?${query}` : '',
+    context: specDir,
+    rootContext: specDir,
+    query: options || {},
+    _compilation: compilation,
+    cacheable() {},
+    addDependency: sinon.spy(),
+    addMissingDependency: sinon.spy(),
+    emitWarning: sinon.spy(),
+    emitError: sinon.spy()
+  };
+  if (source === undefined) {
+    source = fs.readFileSync(resourcePath, 'utf-8');
+  }
+  return new Promise((resolve, reject) => {
+    context.async = () => (err, output) => err ? reject(err) : resolve({ output, context });
+    const output = require(path.resolve(__dirname, '..', 'lib', name)).call(context, source);
+    if (output !== undefined) {
+      resolve({ output, context });
+    }
+  });
+}
+
+/**
+ * List the requests of the code generated for a component: the variable they are assigned to,
+ * the names of their loaders and the resource, with the paths made relative to `spec`
+ */
+function getRequests(output) {
+  const requests = [];
+  output.replace(/^(?:var (\$app_\w+\$) = )?require\((".+")\)$/gm, (line, variable, request) => {
+    const loaders = JSON.parse(request).replace(/^!!/, '').split('!');
+    const resource = loaders.pop();
+    requests.push({
+      variable: variable || null,
+      loaders: loaders.map(loader => path.basename(loader.replace(/\?.*$/, ''))),
+      resource: resource.split(specDir).join('.')
+    });
+  });
+  return requests;
+}
+
+/**
+ * List the `module.hot.accept` handlers of the code generated for a component: the resources
+ * they accept and the call of the runtime of `src/hot.js`
+ */
+function getHotAccepts(output) {
+  const accepts = [];
+  output.replace(/^  module\.hot\.accept\((.+), function \(\) \{\n[^]*?^    (\$app_hot\$\..+)\n  \}\)$/gm,
+    (handler, requests, call) => {
+      accepts.push({
+        resources: [].concat(JSON.parse(requests)).map(request => request.split('!').pop()),
+        call
+      });
+    });
+  return accepts;
+}
+
+describe('hml', () => {
+  beforeEach(() => {
+    compilation = { entries: new Map() };
+  });
+
+  it('inline template, style and script blocks', () => {
+    return runLoader('loader.js', 'blocks.hml?entry').then(({ output }) => {
+      expect(getRequests(output)).eql(getExpectJSON('blocks'));
+      return runLoader('extract.js', 'blocks.hml?block=style&index=0');
+    }).then(({ output }) => {
+      // the block keeps its lines and columns in the file
+      expect(output.split('\n').slice(7, 10)).eql(['.title {', '  font-size: 30px;', '  color: #ff0000;']);
+    });
+  });
+
+  it('template, style and script blocks with src', () => {
+    return runLoader('loader.js', 'blocks-src.hml?entry').then(({ output, context }) => {
+      expect(getRequests(output)).eql(getExpectJSON('blocks-src'));
+      expect(context.emitWarning).to.have.not.been.called;
+    });
+  });
+
+  it('inline elements', () => {
+    const page = path.resolve(specDir, 'elements.hml');
+    return runLoader('loader.js', 'elements.hml?entry').then(({ output }) => {
+      expect(getRequests(output)).eql(getExpectJSON('elements'));
+      return runLoader('extract.js', 'elements.hml?block=template&index=0');
+    }).then(({ output }) => {
+      // the template of the page is not the one of its element
+      expect(output).to.contain('<item name="{{title}}"></item>');
+      expect(output).to.not.contain('class="name"');
+      // the element is compiled from its own block of the page, by the main loader
+      return runLoader('element.js', 'elements.hml?name=item', { extract: true });
+    }).then(({ output }) => {
+      return runLoader('loader.js', `elements.hml?name=item&parentPath=${page}`, { element: true }, output);
+    }).then(({ output, context }) => {
+      expect(getRequests(output)).eql(getExpectJSON('elements-item'));
+      expect(output).to.contain(`$app_define$('@app-component/item'`);
+      expect(output).to.not.contain('$app_bootstrap$');
+      expect(context.emitWarning).to.have.not.been.called;
+    });
+  });
+
+  it('components of the compilation', () => {
+    const util = require(path.resolve(__dirname, '..', 'lib', 'util.js'));
+    const registry = require(path.resolve(__dirname, '..', 'lib', 'registry.js'));
+    const page = path.resolve(specDir, 'elements.hml');
+    return runLoader('loader.js', 'elements.hml?entry').then(() => {
+      expect(registry.getComponentRegistry(compilation).getElements(page)).eql([
+        { name: 'item', id: `${page}?name=item` }
+      ]);
+      // the inline element has the path of the page, which is not its own parent
+      expect(util.elements).eql({ [page]: { item: true } });
+      compilation = { entries: new Map() };
+      return runLoader('loader.js', 'blocks.hml?entry');
+    }).then(() => {
+      // a new compilation starts without the components of the previous one
+      expect(registry.getComponentRegistry(compilation).getElements(page)).eql([]);
+      expect(util.elements).eql({});
+    });
+  });
+
+  it('hot module replacement', () => {
+    return runLoader('loader.js', 'blocks.hml?entry', { hot: true }).then(({ output }) => {
+      expect(getHotAccepts(output)).eql(getExpectJSON('blocks-hot'));
+      expect(output).to.contain('var $app_hot_define$ = function () {');
+      return runLoader('loader.js', 'template-only.hml?entry', { hot: true });
+    }).then(({ output }) => {
+      // without script, the component is not defined again
+      expect(getHotAccepts(output)).eql(getExpectJSON('template-only-hot'));
+    });
+  });
+});
+
+describe('diagnostics', () => {
+  beforeEach(() => {
+    compilation = { entries: new Map() };
+  });
+
+  it('unused suppression comment', () => {
+    return runLoader('style.js', 'suppression.css').then(({ context }) => {
+      expect(context.emitError).to.have.not.been.called;
+      expect(context.emitWarning).to.have.been.calledOnce;
+      expect(context.emitWarning.firstCall.args[0]).to.contain('suppression.css:2:3\n `STYLE-PROPERTY-UNKNOWN` ' +
+        'is not reported where this comment suppresses it, the comment can be removed.');
+    });
+  });
+
+  it('warnings as errors', () => {
+    return runLoader('style.js', 'unknown.css', { warningsAsErrors: true }).then(({ context }) => {
+      // the build fails with the default log level
+      expect(context.emitWarning).to.have.not.been.called;
+      expect(context.emitError).to.have.been.calledOnce;
+      expect(context.emitError.firstCall.args[0]).to.match(/^errorStartERROR File:.*unknown\.css:2:3\n `font-sise`/);
+      return runLoader('style.js', 'unknown.css', { warningsAsErrors: true, logLevel: 0 });
+    }).then(({ context }) => {
+      // and whatever the log level
+      expect(context.emitError).to.have.been.calledOnce;
+    });
+  });
+});